@@ -2,14 +2,18 @@
 #
 # The script will first run the closure linter on all JavaScript files in /src
 # If any lint errors occur, they will be printed and execution will stop.
+# Then it runs the tests in /test with Node.js, and stops if any fail.
 #
-# If code passes, the script will generate 2 files:
+# If code passes, the script will generate 3 files:
 #   out/ga-dash-2.0.js - a conatenated version of all the JS files in /src
 #   out/ga-dash-2.0-min.js - a minified version of all the JS files in /src
+#   out/ga-dash-2.0-node.js - a CommonJS module of the query core for Node.js,
+#       without the browser only files
 #
 # To run this you must install:
 #   closure linter: http://code.google.com/p/closure-linter/
 #   closure compiler app: http://code.google.com/p/closure-compiler/ 
+#   Node.js: http://nodejs.org/
 #
 # Once the compiler is installed, modify this variable to
 # point to the compiler jar.
@@ -31,6 +35,10 @@ http://google-styleguide.googlecode.com/svn/trunk/javascriptguide.xml
 fix to continue...\n"
   exit 1
 fi
+
+# Run the tests. If any fail, do not compile anything.
+sh test/run.sh || exit 1
+
 echo 'Building...'
 
 # Outputs a concatenated file.
@@ -38,9 +46,25 @@ cat \
   src/js/auth.js \
   src/js/control.js \
   src/js/util.js \
+  src/js/browser.js \
+  src/js/transport.js \
+  src/js/date-range.js \
+  src/js/cache.js \
+  src/js/scheduler.js \
+  src/js/metadata.js \
+  src/js/filter.js \
+  src/js/segment.js \
   src/js/query.js \
   src/js/core.js \
   src/js/gviz.js \
+  src/js/scorecard.js \
+  src/js/geo.js \
+  src/js/small-multiples.js \
+  src/js/realtime.js \
+  src/js/realtime-chart.js \
+  src/js/mcf.js \
+  src/js/mcf-chart.js \
+  src/js/ga4.js \
   src/js/ui.profile-select.js \
   src/js/component.js > "out/$out_name.js"
 
@@ -51,10 +75,45 @@ java -jar "$closurePath" \
   --js="src/js/auth.js" \
   --js="src/js/control.js" \
   --js="src/js/util.js" \
+  --js="src/js/browser.js" \
+  --js="src/js/transport.js" \
+  --js="src/js/date-range.js" \
+  --js="src/js/cache.js" \
+  --js="src/js/scheduler.js" \
+  --js="src/js/metadata.js" \
+  --js="src/js/filter.js" \
+  --js="src/js/segment.js" \
   --js="src/js/query.js" \
   --js="src/js/core.js" \
   --js="src/js/gviz.js" \
+  --js="src/js/scorecard.js" \
+  --js="src/js/geo.js" \
+  --js="src/js/small-multiples.js" \
+  --js="src/js/realtime.js" \
+  --js="src/js/realtime-chart.js" \
+  --js="src/js/mcf.js" \
+  --js="src/js/mcf-chart.js" \
+  --js="src/js/ga4.js" \
   --js="src/js/ui.profile-select.js" \
   --js="src/js/component.js" \
   --js_output_file="out/$out_name-min.js"
 
+
+# Outputs a CommonJS module of the query core for Node.js. Auth, gviz, the
+# charts, the UI controls and components, and the browser utilities are left
+# out.
+cat \
+  src/js/util.js \
+  src/js/transport.js \
+  src/js/date-range.js \
+  src/js/cache.js \
+  src/js/scheduler.js \
+  src/js/metadata.js \
+  src/js/filter.js \
+  src/js/segment.js \
+  src/js/query.js \
+  src/js/core.js \
+  src/js/realtime.js \
+  src/js/mcf.js \
+  src/js/ga4.js \
+  src/js/node.js > "out/$out_name-node.js"
@@ -67,6 +67,36 @@ gadash.auth.SCOPES_ = [
   'https://www.googleapis.com/auth/userinfo.email'];
 
 
+/**
+ * The packages of the Google Visualization library to load.
+ * @const {Array}
+ * @private
+ */
+gadash.auth.VISUALIZATION_PACKAGES_ = ['corechart', 'table', 'geochart'];
+
+
+/**
+ * Returns the URL that loads the Google Visualization library. If the
+ * mapsApiKey config value is set, it is passed to the library, which needs
+ * it to place the markers of geo charts of the ga:city dimension.
+ * @return {String} The URL.
+ * @private
+ */
+gadash.auth.getVisualizationUrl_ = function() {
+  var module = {
+    'name': 'visualization',
+    'version': '1',
+    'callback': '__globalCallback',
+    'packages': gadash.auth.VISUALIZATION_PACKAGES_
+  };
+  if (gadash.auth.config.mapsApiKey) {
+    module.mapsApiKey = gadash.auth.config.mapsApiKey;
+  }
+  return 'https://www.google.com/jsapi?autoload=' +
+      encodeURIComponent(JSON.stringify({'modules': [module]}));
+};
+
+
 /**
  * List of functions that are queued for execution. This is only used
  * until all the libraries have fully loaded.
@@ -87,22 +117,70 @@ gadash.commandQueue_ = [];
  *   apiKey: 'API Key found in Google APIs Console',     // required.
  *   clientId: 'Client ID found in Google APIs Console'  // required.
  *   onUnAuthorized: function() {},
- *   onAuthorized: function() {}
+ *   onAuthorized: function() {},
+ *   scheduler: {},  // Optional request limits. See gadash.scheduler.config.
+ *   transport: gadash.transport.gapi,  // Optional. See gadash.transport.
+ *   proxy: 'https://example.com/ga-proxy',  // Optional. See below.
+ *   mapsApiKey: 'Maps API Key'  // Optional. See below.
  * })
+ * If a transport other than gadash.transport.gapi is set, the apiKey and
+ * clientId are not needed. The user is never asked to authorize, and
+ * queries are executed as soon as the Visualization library has loaded.
+ *
+ * Setting proxy sends all requests to a backend endpoint instead, so
+ * dashboards can be shown without any user authorizing, e.g. on a TV wall.
+ * The value is either the URL of the endpoint, or an object with a url and
+ * the options of gadash.transport.http:
+ *
+ * gadash.init({
+ *   'proxy': {
+ *     'url': 'https://example.com/ga-proxy',
+ *     'headers': {'X-Dashboard-Token': 'lobby-tv'}
+ *   }
+ * });
+ *
+ * The endpoint is posted each request as JSON. See gadash.transport for the
+ * format. It must send the request to the Google APIs using its own
+ * credentials, e.g. a service account that has been added as a user of the
+ * profiles, and respond with the JSON response of the API. As anyone who
+ * can reach the endpoint can query the data, it should only accept the
+ * methods and profile IDs the dashboards need.
+ *
+ * Geo charts of the ga:city dimension place a marker on each city, which
+ * needs a Google Maps API key from the Google APIs Console with the
+ * Geocoding API enabled. Set it as mapsApiKey.
  * @param {Object} authConfig Contains initalization settings.
  */
 gadash.init = function(authConfig) {
   gadash.util.extend(authConfig, gadash.auth.config);
 
+  if (authConfig.scheduler) {
+    gadash.scheduler.setConfig(authConfig.scheduler);
+  }
+
+  if (authConfig.transport) {
+    gadash.transport.setTransport(authConfig.transport);
+  }
+
+  if (authConfig.proxy) {
+    var proxy = gadash.util.getType(authConfig.proxy) == 'string' ?
+        {'url': authConfig.proxy} : authConfig.proxy;
+    gadash.transport.setTransport(gadash.transport.http(proxy.url, proxy));
+  }
+
+  if (gadash.transport.active != gadash.transport.gapi) {
+    gadash.util.loadJs_([gadash.auth.getVisualizationUrl_()],
+        gadash.auth.setLoaded_, true);
+    return;
+  }
+
   /*
    * Dynamically loads the Google Visualization, and Google JavaScript API
    * Client library. Once both are done loading, the
    * window.gadashInit_ method is executed.
    */
   gadash.util.loadJs_([
-    'https://www.google.com/jsapi?autoload=' + encodeURIComponent(
-        '{"modules":[{"name":"visualization","version":"1",' +
-        '"callback":"__globalCallback","packages":["corechart","table"]}]}'),
+    gadash.auth.getVisualizationUrl_(),
     'https://apis.google.com/js/client.js?onload=__globalCallback'
   ], window.gadashInit_, true);
 };
@@ -211,9 +289,9 @@ gadash.auth.handleAuthResult_ = function(authResult) {
  * @private
  */
 gadash.auth.loadUserName_ = function() {
-  gapi.client.request({
+  gadash.transport.send({
     'path': '/oauth2/v2/userinfo'
-  }).execute(gadash.auth.loadUserNameHander_);
+  }, gadash.auth.loadUserNameHander_);
 };
 
 
@@ -244,6 +322,16 @@ gadash.auth.loadUserNameHander_ = function(response) {
     gadash.auth.onAuthorizedDefault();
   }
 
+  gadash.auth.setLoaded_();
+};
+
+
+/**
+ * Marks the library as ready to make requests to the API, and executes
+ * all the functions on the command queue.
+ * @private
+ */
+gadash.auth.setLoaded_ = function() {
   // Move to pub sub -or- custom event.
   gadash.isLoaded = true;
   gadash.util.pubsub.publish(gadash.util.pubsub.libsLoaded);
@@ -0,0 +1,339 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Provides the utilities that depend on the browser: loading scripts,
+ * finding and measuring elements, localStorage, including the localStorage
+ * storage of gadash.cache, and displaying errors on the page. Along with
+ * auth, gviz, the charts, the UI controls and components, this file is
+ * only part of the browser build. The Node.js build of the query core
+ * leaves these out, so queries executed from Node have no default error
+ * handler and must define onError, or use GaQuery.run.
+ */
+
+
+/**
+ * Common method to display errors. This method is here so that any API
+ * queries can use it.
+ * Checks to see if there is an element with the ID of errors.
+ * If not, a div is created with this ID.
+ * The error message is formatted and printed to this div.
+ * @param {String} error The error object returned by the API.
+ */
+gadash.onErrorDefault = function(error) {
+  var errorDiv = document.getElementById('errors');
+
+  // Create error div if not already made.
+  if (!errorDiv) {
+    errorDiv = document.createElement('div');
+    errorDiv.style.color = 'red';
+    errorDiv.setAttribute('id', 'errors');
+    errorDiv.innerHTML = 'ERRORS:' + '<br />';
+    document.body.appendChild(errorDiv);
+  }
+
+  // TODO(nm): Need better error handling. + html escape.
+  // Prints GaQuery elementId and message to error div.
+  errorDiv.innerHTML += ' error: ' + error.code + ' ' +
+      error.message + '<br />';
+  //errorDiv.innerHTML += this.config.elementId + ' error: ' +
+  //    message + '<br />';
+};
+
+
+/**
+ * Asynchronously loads a single JavaScript resource. If defined,
+ * opt_callback is executed once the resource is done loading.
+ * @param {String} url The JavaScript resource to load.
+ * @param {String=} opt_callback Optional JavaScript function to execute once
+ *     the JavaScript resource has loaded.
+ */
+gadash.util.loadJs_Resource = function(url, opt_callback) {
+  var js = document.createElement('script');
+  js.async = true;
+  js.src = url;
+  if (opt_callback) {
+    js.onload = opt_callback;
+  }
+  var s = document.getElementsByTagName('script')[0];
+  s.parentNode.insertBefore(js, s);
+};
+
+
+/**
+ * Variable to store a global callback. Used when loading Javascript
+ * resources that support defining their own callback in the URL.
+ * Should be used in conjunction with gadash.util.loadJs_ function..
+ */
+window.__globalCallback = {};
+
+
+/**
+ * Loads multiple JavaScript resources and executes finalCallback
+ * once all are done loading. Some resources require a callback
+ * function to be defined in the URL. These resources can be loaded
+ * by setting opt_useGlobal to true, then using the global variable
+ * __globalCallback as the name of the callback function in the URI.
+ * @param {Array.<String>} urls An array of URLs of JavaScript resources
+ *     to load.
+ * @param {Function} finalCallback The function to execute once all the
+ *     JavaScript resources have loaded.
+ * @param {Boolean=} opt_useGlobal If all the callbacks should use a
+ *     single global function. This is useful if the JavaScript resources
+ *     require defining the callback in the URL itself.
+ * @private.
+ */
+gadash.util.loadJs_ = function(urls, finalCallback, opt_useGlobal) {
+  var callback = gadash.getIncrementalCallback(urls.length, finalCallback);
+  if (opt_useGlobal) {
+    window.__globalCallback = callback;
+  }
+  for (var i = 0, url; url = urls[i]; ++i) {
+    if (opt_useGlobal) {
+      gadash.util.loadJs_Resource(url);
+    } else {
+      gadash.util.loadJs_Resource(url, callback);
+    }
+  }
+};
+
+
+/**
+ * Returns an element either by ID or reference.
+ * @param {object|String} elementId Either the reference to the element or
+ *     if it's a string, it's ID.
+ * @return {object} The referenced element.
+ */
+gadash.util.getElement = function(elementId) {
+  if (gadash.util.getType(elementId) == 'string') {
+    return document.getElementById(elementId);
+  }
+  return elementId;
+};
+
+
+/**
+ * Returns whether any part of an element is within the browser viewport.
+ * @param {object} element The element to check.
+ * @return {Boolean} True if the element is visible.
+ */
+gadash.util.isVisible = function(element) {
+  if (!element || !element.getBoundingClientRect) {
+    return false;
+  }
+  var rect = element.getBoundingClientRect();
+  var viewHeight = window.innerHeight ||
+      document.documentElement.clientHeight;
+  var viewWidth = window.innerWidth || document.documentElement.clientWidth;
+
+  return rect.bottom > 0 && rect.right > 0 &&
+      rect.top < viewHeight && rect.left < viewWidth;
+};
+
+
+/**
+ * Returns an data uri of an ajax preloader image.
+ * @return {String}  data URI to be used in an image tag.
+ */
+gadash.util.getLoaderUri = function() {
+  return [
+    'data:image/gif;base64,R0lGODlhIAAgAPYAAP///3d3d/v7++/v7+bm5ufn5/X19f',
+    'z8/Pn5+djY2LCwsJubm6CgoL+/v+jo6Pj4+ODg4J+fn3l5eYaGhu7u7vPz88rKys/Pz/',
+    'f398DAwISEhJOTk9nZ2ezs7Orq6re3t5aWloyMjI6OjtDQ0LW1tX5+fomJidHR0aSkpP',
+    'T09L6+voiIiH19fdLS0oWFheHh4YKCgnx8fIuLi729vd7e3peXl4CAgLS0tMTExMPDw4',
+    'ODg8HBwdfX15CQkNra2sXFxZqamunp6c7Ozt3d3eLi4uPj46ampoqKisLCwrm5ubOzs7',
+    'u7u3t7e9vb29PT07i4uMbGxq6urq+vr9bW1uvr66qqqtXV1dTU1La2tuTk5Ly8vKWlpZ',
+    'GRkd/f3/Dw8Pr6+vb29vHx8Y2Njaurq6ioqPLy8rKysgAAAAAAAAAAAAAAAAAAAAAAAA',
+    'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+    'AAAAAAACH/C05FVFNDQVBFMi4wAwEAAAAh/hpDcmVhdGVkIHdpdGggYWpheGxvYWQuaW',
+    '5mbwAh+QQJCgAAACwAAAAAIAAgAAAH/4AAgoOEhYaHiImKi4yNjQeGCCkCjoYpBDQFKY',
+    'MCHDMElYQeKgw1DA1BkAg5QAmhghUfKxK0Jh8VBwcOPBWFFR0PiQIJILTGGwmQALmEKU',
+    'tGTgiIDxYhxrUW0ocEGyUKBogIFyLXEiEnlIcVz9GIBwQMLNcMRMrqHsGJBiMLGjYuC4',
+    'RgeFXoAAYPLVSQ2OEDHMFBCCBkIJGBwwAD6Rwx45QggoYSAF+8cmDBAoVBAxSUu5GvUY',
+    'UnE0zscEhgQbkFvRxRMEJLQc4CDMoxyNkIA5QaC0YMBGCgwQRjLnBkbGSACBGHyxwo2G',
+    'BiA4mTDwtS4HAigQOMYQ89eGEhBy97iZg2uoOAQsYEED82xSVigcZSdSRgGAMyJC6HGi',
+    '42ZEPUAUUMYyFGKEOAQRtTEiVoRaGCqIKCzLRA+AAgoAiSJCdyYlABg0kJKUQLdtSgo8',
+    'eMAbqMwCjRwwK4d0ZqGJkytdCDBDM+WOhwQJwMY0Y8CDrgoUkBy4gEVKiQD4GQI7RKRC',
+    'cENxQB3bwt/E1LmsYMJSbZFxJggLujQAAh+QQJCgAAACwAAAAAIAAgAAAH/4AAgoOEgw',
+    'cVVFQpB4WNjo4PEEkoKEsvD4+ZjQI0RhoSEhpGEAKapgAVSxOgoBNJFaeFBg4EFQJBRk',
+    'ysoEZBsYIHDg0oDFhNREa7EiW9vwADJKsSOihOSdKgLq+CFRWMjwI8G7sTGTwoMKA2W0',
+    'OlqUkDmQhCIcokFUVaDAwzBAjcUaI4yCTAyjhWK3JgQpAiBYJvAG4FKZWJgpJPEmAwgO',
+    'BM3osnDCIoSIChYyMMBYYQCUKg1j+ThDA4MbIAhQVbMAsdGBKhBKgNJyDGQgDBAgGKD3',
+    '5gK0ECk7MORkIogAXgAY6lTTt6iCKDRDwAB5r0lMBiQwuhpxB0MUoRgAEnVZxq3syJFg',
+    'DKIQQM5NQk4IAADA/q7nXLAQkUf6ceOOR7ZcGKI1GyCB6UwgKJESUfVVCQTsIRKE4dHb',
+    'DSo0SNJhWjsJqAJHPEtmBHmJDAZUomDDhEMIGxIEGpAwWECCnQtoOSCEu+asYRRcoVvQ',
+    'A8SDGxIgoVQhVqmTqAgQJOsDx6gOrBY7LJISBAgRhivmOFHCFzUB2MvUiR+fQHBwIAIf',
+    'kECQoAAAAsAAAAACAAIAAAB/+AAIKDhIUAB4aJiokHFUVdQQ+Lk4YHDksLNUYjFZSeAB',
+    'RPKxISJUAtkgcPGAieDwMFAwgCPkBMpBI6HwMYRBY4Jw4CixhOClsKPBUtXLilUQQnWy',
+    'ImGwovX4m0CyUlOgwJTRHOLk8XESW4LgpUiQYNOrgmOUEqR6QsEU4ZJs4SCxwQFUqRBA',
+    'YuDRkMVLBghMGHLhWWxHO2ocWwQghOcIkhgQkIJ4gOKMQA4AGUe7hYAPFxsVAFFQt6RM',
+    'gxQFEXFDbkfeigCEGFJi2GVBBoCMMVIz1CbLhBpJUhBBhCEu1ZwIkQHhSmCsJAQIiQAi',
+    '09IZilrcmWEDKMQPhUSFW2QQa1VGggpUGLU7YAPEBxYmBQBRLpSim4y5YGil2DEFjg0m',
+    '2DhbCfKnBoSqgCDiNGLNTEO+lACg8OOnEeTdoTBgNaSw86QADJEh+SKKUg4CU1oQ5RNM',
+    'AACLnQgxw1lFCYBGEDKRNQYitKoQBGhCKTgmyBUeLj3QcUhg4ScEUKFNGKHjiJknkzAA',
+    'wjoiQhQNQnSUoIKATpO8jBuCM53qsmVIBBiSM46LefIAZcoB57AxaCQXaEJUhaIAAh+Q',
+    'QJCgAAACwAAAAAIAAgAAAH/4AAgoOEhQcCB4WKi4yCBgRTTRSJjZWFDxdbG0BLBJSWlQ',
+    'dEDCUSEmIZFaCKCGAIgggtYqYSJVEOAhVFEEEPlgMtGRdBAghOIrS2BQQqDAtRLSmNFS',
+    'obGj1JHQceYzC1GxYvWEemJRFTr4tFC7Q1CQAITQoLDBYePDW0EhpJqosvNZiY2mBF0I',
+    'EKHSg8ENCihz5bHhhVUGCihIkoBBg1WVDKlIkZ/hQdeKHCyJImvhYN0NIjhgQYKDikW3',
+    'TQQYWZigQ4yGGEgQIhQVLgXLUIQ5AuV3AsyXBlwCcwHQYMtXQAgoIeLkwAQeJvAI4tRl',
+    'oYIAqgAgkX+jZcACBgCoiXDLUyEiWQTx8MBfAshBjogywBhw/JADhAA8WEIwqCkA0SgY',
+    'U+HUkEpeDRAAeRqY0e5GhpCgaDIYMQpDDwiaiHHQt6bIhyZSxZRge7OJlCAMNrUAdKK6',
+    'pQIIxuRohAdViyQIEnS0GQJMA86MAVLqcspGyUYIEK17B9RNAB5MpMASlsEwJGRIClFC',
+    '1ICAkp4EUDCyEFBQeFoMKDTwZUHInQ5fftQQ9YUANG/1VCAQcviFcgcP4tWGAgACH5BA',
+    'kKAAAALAAAAAAgACAAAAf/gACCg4SFhoeIiQAYQURBD4qRhQ88UREKPBiSkgcFRjASMF',
+    'FFB4OlmwgPpwc+GxKvQDwCAAgdRUGaiQcOFxZEkAcvESUSJQxdAgYJCgxRIxWJHVg9Ml',
+    'EQpRU/QGILFhUIQ1s6oQtWkIdDNa89FucVHBZN0Bg/Mq8SKzPQhgdEwxIbTpwTdAqAgR',
+    'xH7rl4MgBRCgsoIjToULAQAh4LSjApAUJILn4ViNAYUNFQBQsMNkTYQVHRgZKHBFR4YY',
+    'UHgQEYYG4CmWDHEgsEEBR6uXMQghYoTGgQoYDAqQdELFjZt7ODEWKvTGRIAWCXAjEgLg',
+    'yUBKHHvWJGOnSFsECCCxVcyHcScXWvRBQqgjwkqcFgitCdA6KMeyUGSS4BHXy8MFCUVo',
+    'IqXEKASFKg4AEBOhEdMBAEQgsoP1oEmdWYEAICOaKgUGDBQc7ShYJgEfEKxgIhcQ8d6P',
+    'DCS2YEFjYwuSeKAGlDHT4sQEK1kAEtg++BsHK8EIEtExSoPZRiSfRXNaZUJ1Thwo1MhA',
+    'S8Bs7lrA4jpBI9+Jb+BVBBQZ70sFFCQwTcpT0AkROlCFAADlEYocAJze0kgH0OmFKBAw',
+    'VQ8FFpAqgC24YcdhgIACH5BAkKAAAALAAAAAAgACAAAAf/gACCg4SFhoeIiYIHD1+Kj4',
+    'cYL0JTFAKQmAddRj1AOQOYkA9QJhIlW0QHgweqkAeXgw8WMqZGBKoHFC9EFa2IBl1XQb',
+    'ACRWYgDBYVAAcESgsRM0G+hQIJWyBJHoMIDlMQvQApSLQSG0IYiBgNExILPtSFFAolEh',
+    'IrWsuHCC0RPQq3ElVoUIoFF2UCr1jo8kARAghSNtTAQgDWoQMIMFhM9IDAFR4OGobKxO',
+    'rBg40jESEIcuXECwOEDmCogCAlAAEQonDpkQwmswpCZjQRGWrAk3amUEAQhGAIChkfQI',
+    '0kgKKevR4nBhFQEAGKvlBBolhlAoIHtwJdpI5MIQSIDhgiyT50KBTP1QMPFqJE2VGkps',
+    '1BAgb4GNGiCwECFVCmPBAkw4IeIG4wfFS3UAoLG+xJCJFkrkAeBPwCAFNg14AvBaLA0C',
+    'whwpDKN4cwyFCGGYUfDLiAUJCgSVXWC5rAZoxkCoYDFTBrnmDkwo0VmmFEIaDoQIqGOH',
+    '9rlpGhRZUjOiZEuJAilAAeNVhLgIHFwZAdCpJM+QpJQJMITFjrmEGzQocK6aQUhBIuaB',
+    'YDCC0Q9RcADzRhhAklwACCCp4tGMsLGUShxAUdKFZIIAAh+QQJCgAAACwAAAAAIAAgAA',
+    'AH/4AAgoOEhYaHiImKi4wCFR0pB4yTggUZChYVlIwIFhsaKBCSm4mdIiULNKMAGBQUD4',
+    'wYYbCDBElGUJqCFRZSCk4pigZXWjwYgwgUBRUCggddDDAuRkTNiARGRwpBig8jIRISNT',
+    'wIiQMqEUgDis8MLiZRRauGAg4cQdaJBk4kT8aLBwTMS/SAwgBapBIq7DaAgoGBACBOqi',
+    'AkSpQfHlY9cABB16YHToDAkLABioFBA3ZEaSIxUYUMLsKViEJlUIoTOwi0RGTgBzgJLp',
+    'R4ZFWhHKkDL6L0EIGixTFDAXcaegDhRw4eQwUJoOBjxBUCJxcJEIAgRQWEg+qpWMBlQ5',
+    'QrYdEPpSiSoGPLCkh6lAinwQiNfIQqjDBSg0GODhAP0EARrnGIHBUOgPFSFAACDhFGlt',
+    'hgIVghBFNqxGgsQQMWBzRUGMEUpAKUnxJ0KOkAdQgD0hJWLJlixESJElxUELHQo/GED7',
+    'QNeXhigonMBRYyyCC9oAUHIy5KwAAyIi4hBEOicJkQIgKUISR0kBZhYcAUKSiMWKCQCM',
+    'PwGTmmuJqxgvSGFghgQEAXBETGDgYVpFDOAzwssFduUhAwSEALpWDBFhvUoMAQaC0kiH',
+    '1XcNCBUYoEAgAh+QQJCgAAACwAAAAAIAAgAAAH/4AAgoOEhYaHiImKi4wAB18HjZIADw',
+    'Q+HZGTi0FPKFAVmotEKCEfA4QPBg+Nj5mCFRZPPBiDFS0NLaCKAh0+A64CKRS0ggJDDC',
+    'YMCQiKBhZbLcSICE5cEhsXq4kPTTtEzIkHBQoRJASuiBgV2ooIlgTshQcCCAIH6Lv26Q',
+    '4+Vl0UAkIdejAESwQgKHZ4wLfoAAYMAQEIIBJlhQQJJUTk0NXInYUcPkClsNDjoskIRB',
+    'giCoJFxJEtHBAM+ODC5EUuHFQaOjBkwUUxPwxUaGDCpgQQTSI2JGBERwkQQh48uBKhhE',
+    'kYChaySjEiCooMDu51QFJjAgwZDKZIa1SBSJcO4OB4nVCBRYUFHwUqKGV0z9CDCgVOfN',
+    'gSBQeBvYUEVOigNxGCF1GOlIDBRUuHaUR2KMjwDVEKHEdsApkCjtABB1gkH1FQQGWFJz',
+    'psirBQIUUQAlRWCfDh8+ICHqUJVchQ9CKTDSOCXJCC4kMTDAiGVMW4wEfwQQg4MNDBRM',
+    'LqJiMWwJBgIsqLBx1UbDCxYYnWQ7aiRGBAggMBmia5WDCAoICFJRYQcJ1pFRDAQRMO2K',
+    'ZEbBf1AIUBACBQAQWNLSLAhZHA0kN3JUTAQzwCRVjAEkBwwYAFFIRoCC9XXBCSToQEAg',
+    'A7AAAAAAAAAAAA'].join('');
+};
+
+
+/**
+ * TODO: Should be namespaced by user ID.
+ * Stores data in localstorage if avaliable.
+ * @param {string} key The key of the data to store.
+ * @param {Object} data The data to store.
+ */
+gadash.util.save = function(key, data) {
+  if (localStorage && JSON) {
+    localStorage.setItem(key, JSON.stringify(data));
+  }
+};
+
+
+/**
+ * Loads data from localstorage if avaliable.
+ * @param {string} key The key of the data to store.
+ * @return {Object} The data stored under the key.
+ */
+gadash.util.load = function(key) {
+  if (localStorage && JSON) {
+    return JSON.parse(localStorage.getItem(key));
+  }
+};
+
+
+/**
+ * Removes data from localstorage if avaliable.
+ * @param {string} key The key of the data to remove.
+ */
+gadash.util.remove = function(key) {
+  if (localStorage) {
+    localStorage.removeItem(key);
+  }
+};
+
+
+/**
+ * Displays an error message to the user in a div with the ID of
+ * "errors". If this div doesn't exist, it is created and appeneded to.
+ * The message is html escaped by default.
+ * @param {String} message The error message to display.
+ */
+gadash.util.displayError = function(message) {
+  var errorDiv = document.getElementById('errors');
+
+  // Create error div if not already made.
+  if (!errorDiv) {
+    errorDiv = document.createElement('div');
+    errorDiv.style.color = 'red';
+    errorDiv.setAttribute('id', 'errors');
+    errorDiv.innerHTML = 'ERRORS:' + '<br>';
+    document.body.appendChild(errorDiv);
+  }
+
+  errorDiv.innerHTML += gadash.util.htmlEscape(message) + '<br>';
+};
+
+
+/**
+ * Namespace for the cache module.
+ */
+gadash.cache = gadash.cache || {};
+
+
+/**
+ * Storage that keeps responses in localStorage so they are available
+ * across page loads.
+ */
+gadash.cache.localStorage = {
+  get: function(key) {
+    return gadash.util.load(key) || undefined;
+  },
+
+  set: function(key, value) {
+    try {
+      gadash.util.save(key, value);
+    } catch (e) {
+      // The storage quota has been exceeded. Skip caching this response.
+    }
+  },
+
+  remove: function(key) {
+    gadash.util.remove(key);
+  },
+
+  clear: function() {
+    var keys = [];
+    for (var i = 0; i < localStorage.length; ++i) {
+      var key = localStorage.key(i);
+      if (key.indexOf(gadash.cache.KEY_PREFIX_) == 0) {
+        keys.push(key);
+      }
+    }
+    for (var i = 0, key; key = keys[i]; ++i) {
+      gadash.util.remove(key);
+    }
+  }
+};
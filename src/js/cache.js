@@ -0,0 +1,218 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Provides a cache for API responses so that identical queries do not
+ * need to be re-issued every time a dashboard is refreshed. Responses are
+ * keyed on the API and the actual query sent to it. Queries opt into caching
+ * through their config object:
+ *
+ * gadash.getCoreLineChart({
+ *   'cache': true,
+ *   'cacheTtl': 3600
+ * });
+ *
+ * Responses are stored in memory by default. The storage can be swapped
+ * for localStorage in the browser build, or any object with get, set,
+ * remove and clear methods:
+ *
+ * gadash.cache.setStorage(gadash.cache.localStorage);
+ */
+
+
+/**
+ * Namespace for the cache module.
+ */
+gadash.cache = gadash.cache || {};
+
+
+/**
+ * The default number of seconds a response is cached for.
+ * @type {Number}
+ */
+gadash.cache.DEFAULT_TTL = 3600;
+
+
+/**
+ * The maximum number of seconds a response is cached for if its date range
+ * includes today. Today's data keeps changing, so these responses expire
+ * sooner than ones for historic date ranges.
+ * @type {Number}
+ */
+gadash.cache.TODAY_TTL = 300;
+
+
+/**
+ * The prefix of all the keys used to store responses.
+ * @const {String}
+ * @private
+ */
+gadash.cache.KEY_PREFIX_ = 'gadash-cache:';
+
+
+/**
+ * Storage that keeps responses in memory for the lifetime of the page.
+ * Values are stored as JSON strings so that modifying a response returned
+ * from the cache never modifies the cached copy.
+ */
+gadash.cache.memoryStorage = {
+  items_: {},
+
+  get: function(key) {
+    var value = this.items_[key];
+    return value ? JSON.parse(value) : undefined;
+  },
+
+  set: function(key, value) {
+    this.items_[key] = JSON.stringify(value);
+  },
+
+  remove: function(key) {
+    delete this.items_[key];
+  },
+
+  clear: function() {
+    this.items_ = {};
+  }
+};
+
+
+/**
+ * The storage in which all responses are cached.
+ * @type {Object}
+ */
+gadash.cache.storage = gadash.cache.memoryStorage;
+
+
+/**
+ * Sets the storage in which all responses are cached. The storage object
+ * must implement get(key), set(key, value), remove(key) and clear().
+ * @param {Object} storage The storage to use.
+ */
+gadash.cache.setStorage = function(storage) {
+  gadash.cache.storage = storage;
+};
+
+
+/**
+ * Removes all the responses from the cache.
+ */
+gadash.cache.clear = function() {
+  gadash.cache.storage.clear();
+};
+
+
+/**
+ * Returns the cached response for a query. Expired responses are removed
+ * from the cache.
+ * @param {Object} actualQuery The query parameters sent to the API.
+ * @param {String=} opt_api The key in gadash.core.apis of the API the query
+ *     is sent to. Defaults to core.
+ * @return {Object|undefined} The cached response, or undefined if there is
+ *     no valid response in the cache.
+ */
+gadash.cache.get = function(actualQuery, opt_api) {
+  var key = gadash.cache.getKey(actualQuery, opt_api);
+  var entry = gadash.cache.storage.get(key);
+  if (entry) {
+    if (entry.expires > new Date().getTime()) {
+      return entry.response;
+    }
+    gadash.cache.storage.remove(key);
+  }
+};
+
+
+/**
+ * Stores a response in the cache.
+ * @param {Object} actualQuery The query parameters sent to the API.
+ * @param {Object} response The response returned from the API.
+ * @param {Number} ttl The number of seconds to cache the response for.
+ * @param {String=} opt_api The key in gadash.core.apis of the API the query
+ *     was sent to. Defaults to core.
+ */
+gadash.cache.set = function(actualQuery, response, ttl, opt_api) {
+  gadash.cache.storage.set(gadash.cache.getKey(actualQuery, opt_api), {
+    'expires': new Date().getTime() + ttl * 1000,
+    'response': response
+  });
+};
+
+
+/**
+ * Returns the number of seconds to cache the response to a query for.
+ * This is the cacheTtl value of the config object, or DEFAULT_TTL if not
+ * set. If the end date of the query is today or later, the value is capped
+ * at TODAY_TTL.
+ * @param {Object} config The GaQuery config object.
+ * @param {Object} actualQuery The query parameters sent to the API.
+ * @return {Number} The number of seconds to cache the response for.
+ */
+gadash.cache.getTtl = function(config, actualQuery) {
+  var ttl = config.cacheTtl || gadash.cache.DEFAULT_TTL;
+  var timezone = config.query && config.query.timezone;
+  if (gadash.cache.isToday_(actualQuery['end-date'], timezone)) {
+    ttl = Math.min(ttl, gadash.cache.TODAY_TTL);
+  }
+  return ttl;
+};
+
+
+/**
+ * Returns whether the end date of a query is today or later.
+ * @param {String} endDate The end date of the query.
+ * @param {String=} opt_timezone The timezone in which to get today's date.
+ * @return {Boolean} True if the date is today or later.
+ * @private
+ */
+gadash.cache.isToday_ = function(endDate, opt_timezone) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+    return endDate >= gadash.util.formatDate(
+        gadash.dateRange.getToday(opt_timezone));
+  }
+  return endDate == 'today';
+};
+
+
+/**
+ * Returns the key under which the response to a query is stored. The key
+ * starts with the API, so the same query sent to different APIs has
+ * different keys. The parameters are sorted so that the same query always
+ * has the same key, regardless of the order in which the parameters were
+ * set.
+ * @param {Object} actualQuery The query parameters sent to the API.
+ * @param {String=} opt_api The key in gadash.core.apis of the API the query
+ *     is sent to. Defaults to core.
+ * @return {String} The cache key.
+ */
+gadash.cache.getKey = function(actualQuery, opt_api) {
+  var keys = [];
+  for (var key in actualQuery) {
+    keys.push(key);
+  }
+  keys.sort();
+
+  var params = [];
+  for (var i = 0, key; key = keys[i]; ++i) {
+    params.push(encodeURIComponent(key) + '=' +
+        encodeURIComponent(actualQuery[key]));
+  }
+  return gadash.cache.KEY_PREFIX_ + (opt_api || 'core') + ':' +
+      params.join('&');
+};
@@ -119,10 +119,7 @@ gadash.GaComponent.prototype.setConfig = function(config) {
  * @return {gadash.GaComponent} this object. Useful for chaining methods.
  */
 gadash.GaComponent.prototype.execute = function(opt_config) {
-  var config = this.getConfig();
-  if (opt_config) {
-    gadash.util.extend(opt_config, config);
-  }
+  var config = this.getExecuteConfig_(opt_config);
   for (var i = 0, object; object = this.objects_[i]; ++i) {
     if (object.execute) {
       object.execute(config);
@@ -131,3 +128,46 @@ gadash.GaComponent.prototype.execute = function(opt_config) {
   return this;
 };
 
+
+/**
+ * Executes all the objects in the same way as execute, but returns a
+ * Promise that is resolved once all of them have completed. Objects that
+ * support the run method, typically query or dashboard objects, are run
+ * and all others are executed. The Promise is resolved with an array of
+ * the results of each run object, in the order they were added, or
+ * rejected with the first error returned by the API.
+ * Requires a browser that supports Promises.
+ * @param {Object=} opt_config An optional configuration object to set
+ *     on all the charts before rendering them.
+ * @return {Promise} A Promise for the array of all the API responses.
+ */
+gadash.GaComponent.prototype.run = function(opt_config) {
+  var config = this.getExecuteConfig_(opt_config);
+  var runs = [];
+  for (var i = 0, object; object = this.objects_[i]; ++i) {
+    if (object.run) {
+      runs.push(object.run(config));
+    } else if (object.execute) {
+      object.execute(config);
+    }
+  }
+  return Promise.all(runs);
+};
+
+
+/**
+ * Returns the configuration object to pass to each object when executing.
+ * This first gets all the current configuration values from any controls,
+ * then overrides them with the opt_config parameter.
+ * @param {Object=} opt_config An optional configuration object.
+ * @return {Object} The configuration object.
+ * @private
+ */
+gadash.GaComponent.prototype.getExecuteConfig_ = function(opt_config) {
+  var config = this.getConfig();
+  if (opt_config) {
+    gadash.util.extend(opt_config, config);
+  }
+  return config;
+};
+
@@ -65,18 +65,702 @@ gadash.getCoreQuery = function(opt_config) {
  * dates for the configuration object. It then creates a query based
  * on the query parameter in the config object. Finally it executes the
  * query and sets the callback to this.callback.
+ * If the query has a compare value, a second query for the comparison date
+ * range is also executed, and both responses are merged into one.
+ * If the ids value of the query is an array, the query is executed for
+ * each profile, and the responses are merged into one. See
+ * gadash.core.mergeProfiles.
+ * If the filters or segment value of the query is malformed, no request is
+ * made. Instead the problem is handled as an API error with a code of 400.
  * @this {gadash.GaQuery} The GaQuery object.
  */
 gadash.core.onRequestDefault = function() {
-  this.config.actualQuery = gadash.core.getCoreQueryObj(this.config);
-  var request = gapi.client.analytics.data.ga.get(this.config.actualQuery);
-  request.execute(gadash.util.bindMethod(this, this.callback));
+  try {
+    this.config.actualQuery = gadash.core.getCoreQueryObj(this.config);
+  } catch (e) {
+    this.callback(gadash.core.getInvalidQueryResponse(e.message));
+    return;
+  }
+  var callback = this.getCallback();
+
+  if (gadash.util.getType(this.config.query.ids) == 'array') {
+    gadash.core.requestProfiles_(this.config.query.ids, callback,
+        this.config);
+  } else {
+    gadash.core.requestProfile_(this.config.actualQuery, callback,
+        this.config);
+  }
+};
+
+
+/**
+ * Requests the results of a query for a single profile. If the query has a
+ * compare value, the comparison query is also requested.
+ * @param {Object} actualQuery The query parameters to send to the API.
+ * @param {Function} callback The function to execute with the API response.
+ * @param {Object} config The GaQuery config object.
+ * @private
+ */
+gadash.core.requestProfile_ = function(actualQuery, callback, config) {
+  if (config.query.compare) {
+    gadash.core.requestComparison_(actualQuery,
+        gadash.core.getComparisonQueryObj(config, actualQuery), callback,
+        config);
+  } else {
+    gadash.core.requestQuery_(actualQuery, callback, config);
+  }
+};
+
+
+/**
+ * Requests the results of a query for each of a list of profiles. Once all
+ * responses have been returned, they are merged and passed to callback.
+ * If any returns an error, the first error response is passed to callback.
+ * @param {Array.<String>} ids The table IDs of the profiles.
+ * @param {Function} callback The function to execute with the merged
+ *     response.
+ * @param {Object} config The GaQuery config object.
+ * @private
+ */
+gadash.core.requestProfiles_ = function(ids, callback, config) {
+  var responses = [];
+  var handleResponses = gadash.getIncrementalCallback(ids.length, function() {
+    for (var i = 0; i < responses.length; ++i) {
+      if (responses[i].error) {
+        callback(responses[i]);
+        return;
+      }
+    }
+    callback(gadash.core.mergeProfiles(responses, config.rollUp));
+  });
+
+  var requestProfile = function(index) {
+    var profileQuery = {};
+    gadash.util.extend(config.actualQuery, profileQuery);
+    profileQuery.ids = ids[index];
+
+    gadash.core.requestProfile_(profileQuery, function(response) {
+      responses[index] = response;
+      handleResponses();
+    }, config);
+  };
+
+  for (var i = 0; i < ids.length; ++i) {
+    requestProfile(i);
+  }
+};
+
+
+/**
+ * Requests the results of a single query. If the unsample option is set in
+ * the config object, sampled results are requested again in smaller date
+ * ranges. See gadash.core.unsample.
+ * @param {Object} actualQuery The query parameters to send to the API.
+ * @param {Function} callback The function to execute with the API response.
+ * @param {Object} config The GaQuery config object.
+ * @private
+ */
+gadash.core.requestQuery_ = function(actualQuery, callback, config) {
+  if (config.unsample) {
+    gadash.core.unsample(actualQuery, callback, config);
+  } else {
+    gadash.core.requestResults_(actualQuery, callback, config);
+  }
+};
+
+
+/**
+ * Requests the results of a single query. If the fetchAll option is set in
+ * the config object, all pages of results are requested.
+ * @param {Object} actualQuery The query parameters to send to the API.
+ * @param {Function} callback The function to execute with the API response.
+ * @param {Object} config The GaQuery config object.
+ * @private
+ */
+gadash.core.requestResults_ = function(actualQuery, callback, config) {
+  if (config.fetchAll) {
+    gadash.core.fetchAll(actualQuery, callback, config);
+  } else {
+    gadash.core.executeRequest(actualQuery, callback, config);
+  }
+};
+
+
+/**
+ * Requests the results of a query and its comparison query. Once both
+ * responses have been returned, they are merged and passed to callback.
+ * If either returns an error, the error response is passed to callback.
+ * @param {Object} actualQuery The query parameters to send to the API.
+ * @param {Object} comparisonQuery The comparison query parameters.
+ * @param {Function} callback The function to execute with the merged
+ *     response.
+ * @param {Object} config The GaQuery config object.
+ * @private
+ */
+gadash.core.requestComparison_ = function(actualQuery, comparisonQuery,
+    callback, config) {
+
+  var responses = [];
+  var handleResponses = gadash.getIncrementalCallback(2, function() {
+    if (responses[0].error) {
+      callback(responses[0]);
+    } else if (responses[1].error) {
+      callback(responses[1]);
+    } else {
+      callback(gadash.core.mergeComparison(responses[0], responses[1],
+          gadash.core.getComparisonLabel_(config.query.compare)));
+    }
+  });
+
+  gadash.core.requestQuery_(actualQuery, function(response) {
+    responses[0] = response;
+    handleResponses();
+  }, config);
+
+  gadash.core.requestQuery_(comparisonQuery, function(response) {
+    responses[1] = response;
+    handleResponses();
+  }, config);
+};
+
+
+/**
+ * The maximum number of rows the Core Reporting API returns in a single
+ * page of results.
+ * @const {Number}
+ */
+gadash.core.MAX_PAGE_SIZE = 10000;
+
+
+/**
+ * Issues a single request to the API named by the api value of the config
+ * object. Defaults to the Core Reporting API. If the cache option is
+ * set in the config object, the response is first looked up in the cache,
+ * and successful responses from the API are stored in the cache.
+ * @param {Object} actualQuery The query parameters to send to the API.
+ * @param {Function} callback The function to execute with the API response.
+ * @param {Object=} opt_config The GaQuery config object.
+ */
+gadash.core.executeRequest = function(actualQuery, callback, opt_config) {
+  var config = opt_config || {};
+
+  if (config.cache) {
+    var cachedResponse = gadash.cache.get(actualQuery, config.api);
+    if (cachedResponse) {
+      callback(cachedResponse);
+      return;
+    }
+
+    var ttl = gadash.cache.getTtl(config, actualQuery);
+    var apiCallback = callback;
+    callback = function(response) {
+      if (!response.error) {
+        gadash.cache.set(actualQuery, response, ttl, config.api);
+      }
+      apiCallback(response);
+    };
+  }
+
+  gadash.core.dispatchRequest_(actualQuery, callback,
+      gadash.scheduler.getPriority(config), config.api);
+};
+
+
+/**
+ * The backends that queries can be sent to, keyed by the value of the api
+ * config option. Each is a function that is passed the actual query and a
+ * callback, sends the query to its API, and executes the callback with the
+ * response in the Core Reporting API format: columnHeaders, rows,
+ * totalResults, totalsForAllResults and query, or an error object.
+ * Backends for other APIs can be added to this object.
+ * @type {Object.<String, Function>}
+ */
+gadash.core.apis = {
+  'core': function(actualQuery, callback) {
+    gadash.transport.send({
+      'method': 'analytics.data.ga.get',
+      'params': actualQuery
+    }, callback);
+  },
+
+  'realtime': function(actualQuery, callback) {
+    gadash.transport.send({
+      'method': 'analytics.data.realtime.get',
+      'params': actualQuery
+    }, callback);
+  },
+
+  'mcf': function(actualQuery, callback) {
+    gadash.transport.send({
+      'method': 'analytics.data.mcf.get',
+      'params': actualQuery
+    }, callback);
+  }
+};
+
+
+/**
+ * The callbacks of all the requests waiting on a response from the API,
+ * keyed by the API and the normalized query.
+ * @type {Object.<String, Array.<Function>>}
+ * @private
+ */
+gadash.core.inFlightRequests_ = {};
+
+
+/**
+ * Dispatches a request to the API through gadash.scheduler. If a request
+ * for an identical query is already waiting on a response, no new request
+ * is issued. Instead callback is executed with the response of the existing
+ * request. If multiple callbacks share a response, each is passed its own
+ * copy so that modifying one does not affect the others.
+ * @param {Object} actualQuery The query parameters to send to the API.
+ * @param {Function} callback The function to execute with the API response.
+ * @param {Number} priority The scheduler priority of the request.
+ * @param {String=} opt_api The key in gadash.core.apis of the API to send
+ *     the request to. Defaults to core.
+ * @private
+ */
+gadash.core.dispatchRequest_ = function(actualQuery, callback, priority,
+    opt_api) {
+  var api = opt_api || 'core';
+  var key = gadash.cache.getKey(actualQuery, api);
+  var inFlightRequests = gadash.core.inFlightRequests_;
+
+  if (inFlightRequests[key]) {
+    inFlightRequests[key].push(callback);
+    return;
+  }
+  inFlightRequests[key] = [callback];
+
+  gadash.scheduler.schedule(function(done) {
+    if (!gadash.core.apis[api]) {
+      throw new Error('Unknown api: ' + api + '.');
+    }
+    gadash.core.apis[api](actualQuery, done);
+  }, priority, function(response) {
+    var callbacks = inFlightRequests[key];
+    delete inFlightRequests[key];
+
+    var isShared = callbacks.length > 1;
+    for (var i = 0, func; func = callbacks[i]; ++i) {
+      func(isShared ? JSON.parse(JSON.stringify(response)) : response);
+    }
+  });
+};
+
+
+/**
+ * Requests every page of results for a Core Reporting API query. Each page
+ * is requested in turn, following the start-index of the previous page,
+ * until either the API has no more results or the fetchAllLimit number of
+ * rows in the config object have been retrieved. The rows of all the pages
+ * are then merged into a single response which is passed to callback. If
+ * any page returns an error, the error response is passed to callback and
+ * no more pages are requested.
+ * Usage:
+ *
+ * gadash.getCoreQuery({
+ *   'query': {...},
+ *   'fetchAll': true,
+ *   'fetchAllLimit': 50000,
+ *   'onSuccess': function(response) {
+ *     console.log(response.pageInfo.pages);
+ *   }
+ * });
+ *
+ * @param {Object} actualQuery The query parameters to send to the API.
+ * @param {Function} callback The function to execute with the merged
+ *     response.
+ * @param {Object=} opt_config The GaQuery config object. The optional
+ *     fetchAllLimit value is the maximum number of rows to retrieve.
+ */
+gadash.core.fetchAll = function(actualQuery, callback, opt_config) {
+  var config = opt_config || {};
+  var limit = config.fetchAllLimit;
+  var rows = [];
+  var pages = 0;
+  var startIndex = Number(actualQuery['start-index']) || 1;
+
+  var pageSize = Number(actualQuery['max-results']) ||
+      gadash.core.MAX_PAGE_SIZE;
+  if (limit) {
+    pageSize = Math.min(pageSize, limit);
+  }
+
+  var requestPage = function() {
+    var pageQuery = {};
+    gadash.util.extend(actualQuery, pageQuery);
+    pageQuery['start-index'] = startIndex;
+    pageQuery['max-results'] = limit ?
+        Math.min(pageSize, limit - rows.length) : pageSize;
+
+    gadash.core.executeRequest(pageQuery, handlePage, config);
+  };
+
+  var handlePage = function(response) {
+    if (response.error) {
+      callback(response);
+      return;
+    }
+
+    var pageRows = response.rows || [];
+    rows = rows.concat(pageRows);
+    startIndex += pageRows.length;
+    ++pages;
+
+    var isLimitReached = limit && rows.length >= limit;
+    if (pageRows.length && !isLimitReached &&
+        startIndex <= response.totalResults) {
+      requestPage();
+    } else {
+      callback(gadash.core.mergePages_(response, rows, pages));
+    }
+  };
+
+  requestPage();
+};
+
+
+/**
+ * Combines multiple pages of API results into a single response. The last
+ * response returned from the API is used as the base. Its rows are replaced
+ * by the rows of all the pages, and a pageInfo object is added describing
+ * how the results were retrieved.
+ * @param {Object} lastResponse The response of the last page requested.
+ * @param {Array.<Array>} rows The rows of all the pages.
+ * @param {Number} pages The number of pages that were requested.
+ * @return {Object} A single response containing all the rows.
+ * @private
+ */
+gadash.core.mergePages_ = function(lastResponse, rows, pages) {
+  var response = {};
+  gadash.util.extend(lastResponse, response);
+
+  response.rows = rows;
+  delete response.nextLink;
+  delete response.previousLink;
+
+  response.pageInfo = {
+    'pages': pages,
+    'rowCount': rows.length,
+    'totalResults': lastResponse.totalResults,
+    'isTruncated': !!lastResponse.nextLink
+  };
+  return response;
+};
+
+
+/**
+ * Returns the sampling information of a response, or null if the response
+ * does not contain sampled data.
+ * @param {Object} response An API response.
+ * @return {?Object} The sampleSize and sampleSpace of the response, and the
+ *     percentage of the sample space that the sample covers.
+ */
+gadash.core.getSampling = function(response) {
+  if (!response.containsSampledData) {
+    return null;
+  }
+
+  var sampleSize = Number(response.sampleSize) || 0;
+  var sampleSpace = Number(response.sampleSpace) || 0;
+  return {
+    'sampleSize': sampleSize,
+    'sampleSpace': sampleSpace,
+    'percentage': sampleSpace ?
+        Math.round(sampleSize / sampleSpace * 10000) / 100 : 100
+  };
+};
+
+
+/**
+ * Sets the sampling information of a merged response from the responses
+ * it was merged from. The merged response contains sampled data if any of
+ * the responses does. Its sample size and sample space are the sums of
+ * those of the sampled responses.
+ * @param {Object} merged The merged response.
+ * @param {Array.<Object>} responses The responses that were merged.
+ * @private
+ */
+gadash.core.mergeSampling_ = function(merged, responses) {
+  var isSampled = false;
+  var sampleSize = 0;
+  var sampleSpace = 0;
+  for (var i = 0, response; response = responses[i]; ++i) {
+    var sampling = gadash.core.getSampling(response);
+    if (sampling) {
+      isSampled = true;
+      sampleSize += sampling.sampleSize;
+      sampleSpace += sampling.sampleSpace;
+    }
+  }
+
+  merged.containsSampledData = isSampled;
+  delete merged.sampleSize;
+  delete merged.sampleSpace;
+  if (isSampled) {
+    merged.sampleSize = String(sampleSize);
+    merged.sampleSpace = String(sampleSpace);
+  }
+};
+
+
+/**
+ * The maximum number of date ranges a sampled query is split into, unless
+ * the unsampleLimit config value is set.
+ * @type {Number}
+ */
+gadash.core.UNSAMPLE_LIMIT = 31;
+
+
+/**
+ * Requests the results of a query, and if they contain sampled data,
+ * requests them again for smaller date ranges that are each more likely to
+ * be under the sampling threshold. The date range is split into as many
+ * windows as the ratio of the sample space to the sample size, up to one
+ * window per day or the unsampleLimit config value. The responses of all
+ * the windows are then stitched back together into a single response.
+ * Usage:
+ *
+ * gadash.getCoreTable({
+ *   'query': {
+ *     'dateRange': 'lastYear',
+ *     'samplingLevel': 'HIGHER_PRECISION',
+ *     ...
+ *   },
+ *   'unsample': true,
+ *   'unsampleLimit': 12
+ * });
+ *
+ * Rows with the same dimension values in multiple windows are combined.
+ * Integer and currency metrics are summed, and all other metrics are
+ * averaged, so the values of rates, averages and metrics that count unique
+ * users across days are approximations. Windows that are still sampled
+ * keep containsSampledData set on the stitched response. The unsampleInfo
+ * property of the response holds the number of windows and how many of
+ * them were sampled.
+ * @param {Object} actualQuery The query parameters to send to the API.
+ * @param {Function} callback The function to execute with the API response.
+ * @param {Object=} opt_config The GaQuery config object.
+ */
+gadash.core.unsample = function(actualQuery, callback, opt_config) {
+  var config = opt_config || {};
+  var datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  gadash.core.requestResults_(actualQuery, function(response) {
+    var sampling = !response.error && gadash.core.getSampling(response);
+    if (!sampling || !datePattern.test(actualQuery['start-date']) ||
+        !datePattern.test(actualQuery['end-date'])) {
+      callback(response);
+      return;
+    }
+
+    var startDate = gadash.util.parseDate(actualQuery['start-date']);
+    var endDate = gadash.util.parseDate(actualQuery['end-date']);
+    var days = gadash.util.daysBetween(startDate, endDate) + 1;
+    var windowCount = Math.min(
+        Math.ceil(sampling.sampleSpace / sampling.sampleSize), days,
+        config.unsampleLimit || gadash.core.UNSAMPLE_LIMIT);
+    if (windowCount < 2) {
+      callback(response);
+      return;
+    }
+
+    var windows = gadash.core.splitDateRange_(startDate, endDate,
+        windowCount);
+    var responses = [];
+    var handleResponses = gadash.getIncrementalCallback(windows.length,
+        function() {
+          for (var i = 0; i < responses.length; ++i) {
+            if (responses[i].error) {
+              callback(responses[i]);
+              return;
+            }
+          }
+          callback(gadash.core.mergeWindows_(responses, actualQuery));
+        });
+
+    var requestWindow = function(index) {
+      var windowQuery = {};
+      gadash.util.extend(actualQuery, windowQuery);
+      windowQuery['start-date'] = windows[index][0];
+      windowQuery['end-date'] = windows[index][1];
+
+      gadash.core.requestResults_(windowQuery, function(windowResponse) {
+        responses[index] = windowResponse;
+        handleResponses();
+      }, config);
+    };
+
+    for (var i = 0; i < windows.length; ++i) {
+      requestWindow(i);
+    }
+  }, config);
+};
+
+
+/**
+ * Splits a date range into at most count consecutive windows of equal
+ * length. The last window is shorter if the days do not divide evenly.
+ * @param {Date} startDate The first day of the range.
+ * @param {Date} endDate The last day of the range.
+ * @param {Number} count The number of windows to split the range into.
+ * @return {Array.<Array.<String>>} The start and end date of each window
+ *     in the format yyyy-MM-dd.
+ * @private
+ */
+gadash.core.splitDateRange_ = function(startDate, endDate, count) {
+  var days = gadash.util.daysBetween(startDate, endDate) + 1;
+  var size = Math.ceil(days / count);
+  var windows = [];
+
+  for (var offset = 0; offset < days; offset += size) {
+    var windowStart = new Date(startDate.getFullYear(), startDate.getMonth(),
+        startDate.getDate() + offset);
+    var windowEnd = new Date(startDate.getFullYear(), startDate.getMonth(),
+        startDate.getDate() + Math.min(offset + size, days) - 1);
+    windows.push([gadash.util.formatDate(windowStart),
+        gadash.util.formatDate(windowEnd)]);
+  }
+  return windows;
+};
+
+
+/**
+ * Stitches the responses of the date windows of a query into a single
+ * response. Rows with the same dimension values are combined, as are the
+ * totals, and the rows are sorted and limited as the query requested.
+ * @param {Array.<Object>} responses The response of each window.
+ * @param {Object} actualQuery The query that was split into windows.
+ * @return {Object} The stitched response.
+ * @private
+ */
+gadash.core.mergeWindows_ = function(responses, actualQuery) {
+  var headers = responses[0].columnHeaders;
+  var dimensionCount = gadash.core.getDimensionCount_(headers);
+
+  var merged = {};
+  gadash.util.extend(responses[0], merged);
+  merged.query = {};
+  gadash.util.extend(responses[0].query, merged.query);
+  merged.query['start-date'] = actualQuery['start-date'];
+  merged.query['end-date'] = actualQuery['end-date'];
+
+  var rowsByKey = {};
+  var keys = [];
+  var totals = {};
+  var sampledWindows = 0;
+
+  for (var i = 0, response; response = responses[i]; ++i) {
+    var rows = response.rows || [];
+    for (var j = 0, row; row = rows[j]; ++j) {
+      var key = row.slice(0, dimensionCount).join('|');
+      if (!rowsByKey[key]) {
+        rowsByKey[key] = [];
+        keys.push(key);
+      }
+      rowsByKey[key].push(row);
+    }
+
+    for (var name in response.totalsForAllResults) {
+      totals[name] = totals[name] || [];
+      totals[name].push(response.totalsForAllResults[name]);
+    }
+
+    if (response.containsSampledData) {
+      ++sampledWindows;
+    }
+  }
+
+  merged.rows = [];
+  for (var i = 0, key; key = keys[i]; ++i) {
+    var keyRows = rowsByKey[key];
+    var mergedRow = keyRows[0].slice(0, dimensionCount);
+    for (var j = dimensionCount; j < headers.length; ++j) {
+      var values = [];
+      for (var k = 0; k < keyRows.length; ++k) {
+        values.push(keyRows[k][j]);
+      }
+      mergedRow.push(keyRows.length == 1 ? values[0] :
+          gadash.core.combineValues_(values, headers[j].dataType));
+    }
+    merged.rows.push(mergedRow);
+  }
+
+  if (actualQuery.sort) {
+    gadash.core.sortRows_(merged.rows, headers, actualQuery.sort);
+  }
+  merged.totalResults = merged.rows.length;
+  if (actualQuery['max-results']) {
+    merged.rows = merged.rows.slice(0, Number(actualQuery['max-results']));
+  }
+
+  merged.totalsForAllResults = {};
+  for (var i = dimensionCount; i < headers.length; ++i) {
+    var name = headers[i].name;
+    if (totals[name]) {
+      merged.totalsForAllResults[name] = gadash.core.combineValues_(
+          totals[name], headers[i].dataType);
+    }
+  }
+
+  gadash.core.mergeSampling_(merged, responses);
+  merged.unsampleInfo = {
+    'windows': responses.length,
+    'sampledWindows': sampledWindows
+  };
+  return merged;
+};
+
+
+/**
+ * Sorts rows by the sort value of a query. Metric columns are sorted as
+ * numbers and dimension columns as strings. Columns prefixed with - are
+ * sorted in descending order.
+ * @param {Array.<Array>} rows The rows to sort.
+ * @param {Array.<Object>} headers The column headers of the rows.
+ * @param {String} sort The comma separated sort value of the query.
+ * @private
+ */
+gadash.core.sortRows_ = function(rows, headers, sort) {
+  var sortColumns = [];
+  var names = sort.split(',');
+  for (var i = 0; i < names.length; ++i) {
+    var isDescending = names[i].charAt(0) == '-';
+    var name = isDescending ? names[i].substring(1) : names[i];
+    for (var j = 0; j < headers.length; ++j) {
+      if (headers[j].name == name) {
+        sortColumns.push({
+          'index': j,
+          'isMetric': headers[j].columnType == 'METRIC',
+          'direction': isDescending ? -1 : 1
+        });
+      }
+    }
+  }
+
+  rows.sort(function(a, b) {
+    for (var i = 0, column; column = sortColumns[i]; ++i) {
+      var x = a[column.index];
+      var y = b[column.index];
+      if (column.isMetric) {
+        x = Number(x);
+        y = Number(y);
+      }
+      if (x != y) {
+        return (x < y ? -1 : 1) * column.direction;
+      }
+    }
+    return 0;
+  });
 };
 
 
 /**
  * Returns the actual query values issued to the Google Analytics Core
- * reporting API as an object. This figures out the default dates.
+ * reporting API as an object. This figures out the default dates and
+ * resolves any relative date range expressions.
  * It also removes any unused keys. It also properly maps camel
  * cased values into their hyphenated equivalents.
  * @param {object} config The configuration object.
@@ -87,7 +771,7 @@ gadash.core.getCoreQueryObj = function(config) {
   var actualQuery = {};
 
   if (config.query.ids) {
-    actualQuery.ids = config.query.ids;
+    actualQuery.ids = String(config.query.ids);
   }
 
   if (config.query.metrics) {
@@ -99,11 +783,11 @@ gadash.core.getCoreQueryObj = function(config) {
   }
 
   if (config.query.filters) {
-    actualQuery.filters = config.query.filters;
+    actualQuery.filters = gadash.filter.serialize(config.query.filters);
   }
 
   if (config.query.segment) {
-    actualQuery.segment = config.query.segment;
+    actualQuery.segment = gadash.segment.serialize(config.query.segment);
   }
 
   if (config.query.sort) {
@@ -117,27 +801,472 @@ gadash.core.getCoreQueryObj = function(config) {
     actualQuery['max-results'] = config.query.maxResults;
   }
 
-  /* Handles setting default and lastNdays dates.
-   * If lastNdays has been set, Updates the start and end date.
-   * If neither start not end date is set, a default of the last
-   * 28 days is used. Otherwise the original dates are used.
+  if (config.query.samplingLevel) {
+    actualQuery.samplingLevel = config.query.samplingLevel;
+  }
+
+  /* Handles setting default, lastNdays and relative dates.
+   * See gadash.dateRange.getQueryDates for how the dates are resolved.
    */
-  if (config.query.lastNdays) {
-    actualQuery['end-date'] = gadash.util.lastNdays(0);
-    actualQuery['start-date'] = gadash.util.lastNdays(config.query.lastNdays);
+  var dates = gadash.dateRange.getQueryDates(config.query);
+  actualQuery['start-date'] = dates.startDate;
+  actualQuery['end-date'] = dates.endDate;
+
+  return actualQuery;
+};
+
+
+/**
+ * Returns the error response for a query that can not be sent to the API,
+ * e.g. because its filters value is malformed. The response has the format
+ * of an API error with a code of 400, so it can be passed to the callback of
+ * the query and handled by onError.
+ * @param {String} message The description of the problem.
+ * @return {Object} The error response.
+ */
+gadash.core.getInvalidQueryResponse = function(message) {
+  return {
+    'error': {
+      'code': 400,
+      'message': message,
+      'errors': [{'reason': 'invalidParameter', 'message': message}]
+    }
+  };
+};
+
+
+/**
+ * Returns the query parameters for the comparison date range of a query.
+ * The compare value of the query config can be:
+ *   - 'previousPeriod' The same number of days immediately before the
+ *     date range of the query.
+ *   - 'previousYear' The same date range one year earlier.
+ *   - {'startDate': 'yyyy-MM-dd', 'endDate': 'yyyy-MM-dd'} An explicit
+ *     date range.
+ * Usage:
+ *
+ * gadash.getCoreChart({
+ *   'query': {
+ *     'lastNdays': 28,
+ *     'compare': 'previousPeriod',
+ *     ...
+ *   }
+ * });
+ *
+ * @param {Object} config The configuration object.
+ * @param {Object} actualQuery The query parameters returned by
+ *     getCoreQueryObj.
+ * @return {Object} A copy of actualQuery with the comparison dates.
+ */
+gadash.core.getComparisonQueryObj = function(config, actualQuery) {
+  var compare = config.query.compare;
+  var comparisonQuery = {};
+  gadash.util.extend(actualQuery, comparisonQuery);
 
-  } else if (!config.query.startDate || !config.query.endDate) {
-    // Provide a default date range of last 28 days.
-    actualQuery['end-date'] = gadash.util.lastNdays(0);
-    actualQuery['start-date'] = gadash.util.lastNdays(28);
+  if (gadash.util.getType(compare) == 'object') {
+    comparisonQuery['start-date'] = compare.startDate;
+    comparisonQuery['end-date'] = compare.endDate;
+    return comparisonQuery;
+  }
+
+  var startDate = gadash.util.parseDate(actualQuery['start-date']);
+  var endDate = gadash.util.parseDate(actualQuery['end-date']);
 
+  if (compare == 'previousYear') {
+    startDate = gadash.util.addYears(startDate, -1);
+    endDate = gadash.util.addYears(endDate, -1);
   } else {
-    // Both exist. Move the dates over.
-    actualQuery['end-date'] = config.query.endDate;
-    actualQuery['start-date'] = config.query.startDate;
+    var days = gadash.util.daysBetween(startDate, endDate) + 1;
+    startDate.setDate(startDate.getDate() - days);
+    endDate.setDate(endDate.getDate() - days);
   }
 
-  return actualQuery;
+  comparisonQuery['start-date'] = gadash.util.formatDate(startDate);
+  comparisonQuery['end-date'] = gadash.util.formatDate(endDate);
+  return comparisonQuery;
+};
+
+
+/**
+ * Returns the text used to describe the comparison date range.
+ * @param {String|Object} compare The compare value of the query config.
+ * @return {String} The comparison label.
+ * @private
+ */
+gadash.core.getComparisonLabel_ = function(compare) {
+  if (compare == 'previousYear') {
+    return 'previous year';
+  } else if (gadash.util.getType(compare) == 'object') {
+    return compare.startDate + ' - ' + compare.endDate;
+  }
+  return 'previous period';
+};
+
+
+/**
+ * Merges the responses of a query and its comparison query into a single
+ * response. Rows are matched by their dimension values. For the ga:date
+ * dimension, rows are matched by their position in the date range instead,
+ * so the first day of each range is matched, then the second, etc.
+ * Each metric column is followed by a column with the same name for the
+ * comparison values. These comparison column headers have a comparison
+ * property set to label. Rows missing from either response have values
+ * of 0. The ga:date values of rows that only exist in the comparison
+ * response are moved to the same position in the date range of the query,
+ * and rows that fall outside of it are left out. Information about the
+ * comparison response is added as the comparison property of the merged
+ * response.
+ * @param {Object} response The response of the query.
+ * @param {Object} comparisonResponse The response of the comparison query.
+ * @param {String} label The text describing the comparison date range.
+ * @return {Object} The merged response.
+ */
+gadash.core.mergeComparison = function(response, comparisonResponse, label) {
+  var headers = response.columnHeaders;
+  var dimensionCount = gadash.core.getDimensionCount_(headers);
+
+  var merged = {};
+  gadash.util.extend(response, merged);
+
+  merged.columnHeaders = headers.slice(0, dimensionCount);
+  for (var i = dimensionCount; i < headers.length; ++i) {
+    merged.columnHeaders.push(headers[i], {
+      'name': headers[i].name,
+      'columnType': headers[i].columnType,
+      'dataType': headers[i].dataType,
+      'comparison': label
+    });
+  }
+
+  var comparisonRows = comparisonResponse.rows || [];
+  var comparisonRowsByKey = {};
+  for (var i = 0, row; row = comparisonRows[i]; ++i) {
+    comparisonRowsByKey[gadash.core.getRowKey_(row, headers, dimensionCount,
+        comparisonResponse.query)] = row;
+  }
+
+  var mergeRow = function(row, comparisonRow) {
+    var mergedRow = (row || comparisonRow).slice(0, dimensionCount);
+    for (var i = dimensionCount; i < headers.length; ++i) {
+      mergedRow.push(row ? row[i] : '0',
+          comparisonRow ? comparisonRow[i] : '0');
+    }
+    return mergedRow;
+  };
+
+  merged.rows = [];
+  var rows = response.rows || [];
+  for (var i = 0, row; row = rows[i]; ++i) {
+    var key = gadash.core.getRowKey_(row, headers, dimensionCount,
+        response.query);
+    merged.rows.push(mergeRow(row, comparisonRowsByKey[key]));
+    delete comparisonRowsByKey[key];
+  }
+
+  // Add the rows that only exist in the comparison response, with their
+  // dates moved into the date range of the query.
+  for (var i = 0, row; row = comparisonRows[i]; ++i) {
+    var key = gadash.core.getRowKey_(row, headers, dimensionCount,
+        comparisonResponse.query);
+    if (comparisonRowsByKey[key]) {
+      var shiftedRow = gadash.core.shiftComparisonDates_(row, headers,
+          dimensionCount, comparisonResponse.query, response.query);
+      if (shiftedRow) {
+        merged.rows.push(mergeRow(null, shiftedRow));
+      }
+    }
+  }
+
+  gadash.core.mergeSampling_(merged, [response, comparisonResponse]);
+  merged.comparison = {
+    'label': label,
+    'query': comparisonResponse.query,
+    'totalResults': comparisonResponse.totalResults,
+    'totalsForAllResults': comparisonResponse.totalsForAllResults
+  };
+  return merged;
+};
+
+
+/**
+ * Returns a key for the dimension values of a row. ga:date values are
+ * replaced by the number of days since the start date of the query.
+ * @param {Array} row The row of the response.
+ * @param {Array.<Object>} headers The column headers of the response.
+ * @param {Number} dimensionCount The number of dimension columns.
+ * @param {Object} query The query returned in the response.
+ * @return {String} The row key.
+ * @private
+ */
+gadash.core.getRowKey_ = function(row, headers, dimensionCount, query) {
+  var values = [];
+  for (var i = 0; i < dimensionCount; ++i) {
+    var value = row[i];
+    if (headers[i].name == 'ga:date') {
+      value = gadash.util.daysBetween(
+          gadash.util.parseDate(query['start-date']),
+          gadash.util.stringToDate(value));
+    }
+    values.push(value);
+  }
+  return values.join('|');
+};
+
+
+/**
+ * Returns a copy of a row of the comparison response with its ga:date
+ * value moved to the same position in the date range of the query, e.g.
+ * the first day of the comparison date range becomes the first day of the
+ * date range of the query.
+ * @param {Array} row The row of the comparison response.
+ * @param {Array.<Object>} headers The column headers of the response.
+ * @param {Number} dimensionCount The number of dimension columns.
+ * @param {Object} comparisonQuery The query returned in the comparison
+ *     response.
+ * @param {Object} query The query returned in the response.
+ * @return {Array} The shifted row, or null if its date falls after the end
+ *     date of the query.
+ * @private
+ */
+gadash.core.shiftComparisonDates_ = function(row, headers, dimensionCount,
+    comparisonQuery, query) {
+  var shiftedRow = row.slice();
+  for (var i = 0; i < dimensionCount; ++i) {
+    if (headers[i].name == 'ga:date') {
+      var date = gadash.util.parseDate(query['start-date']);
+      date.setDate(date.getDate() + gadash.util.daysBetween(
+          gadash.util.parseDate(comparisonQuery['start-date']),
+          gadash.util.stringToDate(row[i])));
+      if (date > gadash.util.parseDate(query['end-date'])) {
+        return null;
+      }
+      shiftedRow[i] = gadash.util.formatDate(date).replace(/-/g, '');
+    }
+  }
+  return shiftedRow;
+};
+
+
+/**
+ * Returns the number of dimension columns in a response. Dimensions always
+ * come before metrics.
+ * @param {Array.<Object>} headers The column headers of the response.
+ * @return {Number} The number of dimension columns.
+ * @private
+ */
+gadash.core.getDimensionCount_ = function(headers) {
+  var dimensionCount = 0;
+  for (var i = 0; i < headers.length; ++i) {
+    if (headers[i].columnType == 'DIMENSION') {
+      ++dimensionCount;
+    }
+  }
+  return dimensionCount;
+};
+
+
+/**
+ * The ga:profile value of the rows that combine all profiles.
+ * @type {String}
+ */
+gadash.core.ROLL_UP_LABEL = 'All profiles';
+
+
+/**
+ * Merges the responses of the same query for multiple profiles into a
+ * single response. A ga:profile dimension column holding the name of the
+ * profile is added before all other columns, and the rows of all the
+ * responses are combined. If rollUp is set, a row with the ga:profile value
+ * ROLL_UP_LABEL is added for each set of dimension values, combining the
+ * metrics of all the profiles. The profileInfo of each response is added as
+ * the profiles property of the merged response.
+ * Usage:
+ *
+ * gadash.getCoreTable({
+ *   'query': {
+ *     'ids': ['ga:1174', 'ga:1175'],
+ *     'metrics': 'ga:visits'
+ *   },
+ *   'rollUp': true
+ * });
+ *
+ * Integer and currency metrics are combined by summing them. Other metrics,
+ * such as rates and averages, can not be summed, so the average of the
+ * profiles' values is used instead.
+ * @param {Array.<Object>} responses The response for each profile.
+ * @param {Boolean=} opt_rollUp Whether to add rows combining all profiles.
+ * @return {Object} The merged response.
+ */
+gadash.core.mergeProfiles = function(responses, opt_rollUp) {
+  var headers = responses[0].columnHeaders;
+  var dimensionCount = gadash.core.getDimensionCount_(headers);
+
+  var merged = {};
+  gadash.util.extend(responses[0], merged);
+  delete merged.profileInfo;
+  delete merged.comparison;
+
+  merged.columnHeaders = [{
+    'name': 'ga:profile',
+    'columnType': 'DIMENSION',
+    'dataType': 'STRING'
+  }].concat(headers);
+  merged.rows = [];
+  merged.profiles = [];
+  merged.totalResults = 0;
+
+  var rowsByKey = {};
+  var keys = [];
+  var totals = {};
+
+  for (var i = 0, response; response = responses[i]; ++i) {
+    var profileInfo = response.profileInfo || {};
+    var profileName = profileInfo.profileName || response.query.ids;
+    merged.profiles.push(profileInfo);
+    merged.totalResults += response.totalResults || 0;
+
+    var rows = response.rows || [];
+    for (var j = 0, row; row = rows[j]; ++j) {
+      merged.rows.push([profileName].concat(row));
+
+      var key = gadash.core.getRowKey_(row, headers, dimensionCount,
+          response.query);
+      if (!rowsByKey[key]) {
+        rowsByKey[key] = [];
+        keys.push(key);
+      }
+      rowsByKey[key].push(row);
+    }
+
+    for (var name in response.totalsForAllResults) {
+      totals[name] = totals[name] || [];
+      totals[name].push(response.totalsForAllResults[name]);
+    }
+  }
+
+  if (opt_rollUp) {
+    for (var i = 0, key; key = keys[i]; ++i) {
+      var keyRows = rowsByKey[key];
+      var rollUpRow = [gadash.core.ROLL_UP_LABEL].concat(
+          keyRows[0].slice(0, dimensionCount));
+      for (var j = dimensionCount; j < headers.length; ++j) {
+        var values = [];
+        for (var k = 0; k < keyRows.length; ++k) {
+          values.push(keyRows[k][j]);
+        }
+        rollUpRow.push(gadash.core.combineValues_(values,
+            headers[j].dataType));
+      }
+      merged.rows.push(rollUpRow);
+    }
+  }
+
+  merged.totalsForAllResults = {};
+  for (var i = dimensionCount; i < headers.length; ++i) {
+    var name = headers[i].name;
+    if (totals[name]) {
+      merged.totalsForAllResults[name] = gadash.core.combineValues_(
+          totals[name], headers[i].dataType);
+    }
+  }
+
+  gadash.core.mergeSampling_(merged, responses);
+  return merged;
+};
+
+
+/**
+ * Combines the values of a metric from multiple profiles. Integer and
+ * currency values are summed, all others are averaged.
+ * @param {Array.<String>} values The metric values.
+ * @param {String} dataType The data type of the metric.
+ * @return {String} The combined value.
+ * @private
+ */
+gadash.core.combineValues_ = function(values, dataType) {
+  var sum = 0;
+  for (var i = 0; i < values.length; ++i) {
+    sum += Number(values[i]) || 0;
+  }
+  if (gadash.core.isAdditive(dataType)) {
+    return String(sum);
+  }
+  return String(sum / values.length);
+};
+
+
+/**
+ * Returns whether the values of a metric can be added together. Only
+ * integer and currency metrics can. Percent, float and time metrics are
+ * rates and averages, so their totals are already averages.
+ * @param {String} dataType The data type of the metric.
+ * @return {Boolean} True if the values can be added together.
+ */
+gadash.core.isAdditive = function(dataType) {
+  return dataType == 'INTEGER' || dataType == 'CURRENCY';
+};
+
+
+/**
+ * Returns the totalsForAllResults of a response as numbers, along with the
+ * average value per row, keyed by metric name. Each has the following
+ * values:
+ *   - name {String} The name of the metric, e.g. ga:visits.
+ *   - label {String} The name formatted for display, e.g. Visits.
+ *   - dataType {String} The data type of the metric.
+ *   - total {Number} The total over all the results of the query.
+ *   - average {Number} The total divided by the number of results for
+ *     integer and currency metrics. Other metrics are already averages, so
+ *     this is the same as the total.
+ *   - comparisonTotal {Number} The total of the comparison date range, if
+ *     the query has a compare value.
+ * GaQuery sets this as the totals property of the response before it is
+ * passed to onSuccess:
+ *
+ * gadash.getCoreQuery({
+ *   'query': {
+ *     'metrics': 'ga:visits,ga:bounceRate',
+ *     'dimensions': 'ga:source',
+ *     ...
+ *   },
+ *   'onSuccess': function(response) {
+ *     console.log(response.totals['ga:visits'].average);
+ *   }
+ * });
+ *
+ * @param {Object} response An API response.
+ * @return {Object.<String, Object>} The totals of each metric.
+ */
+gadash.core.getTotals = function(response) {
+  var totals = {};
+  var totalsForAllResults = response.totalsForAllResults || {};
+  var comparisonTotals = response.comparison &&
+      response.comparison.totalsForAllResults;
+  var resultCount = Number(response.totalResults) ||
+      (response.rows || []).length;
+
+  var headers = response.columnHeaders || [];
+  for (var i = 0, header; header = headers[i]; ++i) {
+    var name = header.name;
+    if (header.columnType != 'METRIC' || header.comparison ||
+        !(name in totalsForAllResults)) {
+      continue;
+    }
+
+    var total = Number(totalsForAllResults[name]) || 0;
+    totals[name] = {
+      'name': name,
+      'label': gadash.util.formatGAString(name),
+      'dataType': header.dataType,
+      'total': total,
+      'average': gadash.core.isAdditive(header.dataType) && resultCount ?
+          total / resultCount : total
+    };
+    if (comparisonTotals && name in comparisonTotals) {
+      totals[name].comparisonTotal = Number(comparisonTotals[name]) || 0;
+    }
+  }
+  return totals;
 };
 
 
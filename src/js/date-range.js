@@ -0,0 +1,294 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Resolves relative date range expressions into actual dates in the format
+ * yyyy-MM-dd. Expressions can be used in the startDate, endDate and
+ * dateRange keys of the query config:
+ *
+ * gadash.getCoreQuery({
+ *   'query': {
+ *     'dateRange': 'lastMonth',
+ *     ...
+ *   }
+ * });
+ *
+ * gadash.getCoreQuery({
+ *   'query': {
+ *     'startDate': 'thisQuarter',
+ *     'endDate': 'yesterday',
+ *     ...
+ *   }
+ * });
+ *
+ * When used as a startDate, an expression resolves to the first day of its
+ * range. When used as an endDate, it resolves to the last day.
+ * The supported expressions are:
+ *   today, yesterday, NdaysAgo, lastNdays, lastNcompleteWeeks,
+ *   lastNcompleteMonths, thisWeek, lastWeek, thisMonth, lastMonth,
+ *   thisQuarter, lastQuarter, thisYear, lastYear, yearToDate
+ * where N is any whole number.
+ * Weeks start on Sunday, unless the query config has a weekStart value
+ * between 0 (Sunday) and 6 (Saturday).
+ * Expressions are resolved relative to the current date of the browser,
+ * unless the query config has a timezone value, e.g. 'Asia/Tokyo'. Then the
+ * current date in that timezone is used. gadash.ui.ProfileSelect sets this
+ * to the timezone of the selected profile.
+ */
+
+
+/**
+ * Namespace for the date range module.
+ */
+gadash.dateRange = gadash.dateRange || {};
+
+
+/**
+ * Returns a new date a number of days after another date.
+ * @param {Date} date The date to start from.
+ * @param {Number} days The number of days to add. Negative to subtract.
+ * @return {Date} The new date.
+ * @private
+ */
+gadash.dateRange.addDays_ = function(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+};
+
+
+/**
+ * Returns the first day of the week a date is in.
+ * @param {Date} date The date.
+ * @param {Number} weekStart The first day of the week. 0 is Sunday.
+ * @return {Date} The first day of the week.
+ * @private
+ */
+gadash.dateRange.getWeekStart_ = function(date, weekStart) {
+  return gadash.dateRange.addDays_(date,
+      -((date.getDay() - weekStart + 7) % 7));
+};
+
+
+/**
+ * Returns the first month of the quarter a date is in. 0 is January.
+ * @param {Date} date The date.
+ * @return {Number} The first month of the quarter.
+ * @private
+ */
+gadash.dateRange.getQuarterStart_ = function(date) {
+  return date.getMonth() - date.getMonth() % 3;
+};
+
+
+/**
+ * The supported expressions. Each is a pattern and a function that returns
+ * the first and last days of the range. The functions are passed the
+ * number matched by the pattern, today's date and the first day of the week.
+ * @type {Array.<Array>}
+ * @private
+ */
+gadash.dateRange.expressions_ = [
+  [/^today$/, function(n, today) {
+    return [today, today];
+  }],
+
+  [/^yesterday$/, function(n, today) {
+    var yesterday = gadash.dateRange.addDays_(today, -1);
+    return [yesterday, yesterday];
+  }],
+
+  [/^(\d+)daysAgo$/, function(n, today) {
+    var date = gadash.dateRange.addDays_(today, -n);
+    return [date, date];
+  }],
+
+  [/^last(\d+)days$/, function(n, today) {
+    return [gadash.dateRange.addDays_(today, -n), today];
+  }],
+
+  [/^last(\d+)completeWeeks$/, function(n, today, weekStart) {
+    var start = gadash.dateRange.getWeekStart_(today, weekStart);
+    return [
+      gadash.dateRange.addDays_(start, -7 * n),
+      gadash.dateRange.addDays_(start, -1)
+    ];
+  }],
+
+  [/^last(\d+)completeMonths$/, function(n, today) {
+    return [
+      new Date(today.getFullYear(), today.getMonth() - n, 1),
+      new Date(today.getFullYear(), today.getMonth(), 0)
+    ];
+  }],
+
+  [/^thisWeek$/, function(n, today, weekStart) {
+    return [gadash.dateRange.getWeekStart_(today, weekStart), today];
+  }],
+
+  [/^lastWeek$/, function(n, today, weekStart) {
+    var start = gadash.dateRange.getWeekStart_(today, weekStart);
+    return [
+      gadash.dateRange.addDays_(start, -7),
+      gadash.dateRange.addDays_(start, -1)
+    ];
+  }],
+
+  [/^thisMonth$/, function(n, today) {
+    return [new Date(today.getFullYear(), today.getMonth(), 1), today];
+  }],
+
+  [/^lastMonth$/, function(n, today) {
+    return [
+      new Date(today.getFullYear(), today.getMonth() - 1, 1),
+      new Date(today.getFullYear(), today.getMonth(), 0)
+    ];
+  }],
+
+  [/^thisQuarter$/, function(n, today) {
+    var quarterStart = gadash.dateRange.getQuarterStart_(today);
+    return [new Date(today.getFullYear(), quarterStart, 1), today];
+  }],
+
+  [/^lastQuarter$/, function(n, today) {
+    var quarterStart = gadash.dateRange.getQuarterStart_(today);
+    return [
+      new Date(today.getFullYear(), quarterStart - 3, 1),
+      new Date(today.getFullYear(), quarterStart, 0)
+    ];
+  }],
+
+  [/^(thisYear|yearToDate)$/, function(n, today) {
+    return [new Date(today.getFullYear(), 0, 1), today];
+  }],
+
+  [/^lastYear$/, function(n, today) {
+    return [
+      new Date(today.getFullYear() - 1, 0, 1),
+      new Date(today.getFullYear() - 1, 11, 31)
+    ];
+  }]
+];
+
+
+/**
+ * Returns the current date in a timezone. The year, month and day of the
+ * returned date are those of the current date in the timezone. If the
+ * browser does not support timezones, or the timezone is not valid, the
+ * current date of the browser is returned.
+ * @param {String=} opt_timezone The IANA timezone name, e.g. 'Asia/Tokyo'.
+ * @return {Date} The current date at midnight.
+ */
+gadash.dateRange.getToday = function(opt_timezone) {
+  var now = new Date();
+  if (opt_timezone && typeof Intl != 'undefined' &&
+      Intl.DateTimeFormat.prototype.formatToParts) {
+    try {
+      var parts = new Intl.DateTimeFormat('en-US', {
+        'timeZone': opt_timezone,
+        'year': 'numeric',
+        'month': 'numeric',
+        'day': 'numeric'
+      }).formatToParts(now);
+      var values = {};
+      for (var i = 0; i < parts.length; ++i) {
+        values[parts[i].type] = Number(parts[i].value);
+      }
+      return new Date(values.year, values.month - 1, values.day);
+    } catch (e) {
+      // Unknown timezone. Fall back to the current date of the browser.
+    }
+  }
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+};
+
+
+/**
+ * Resolves a date range expression.
+ * @param {String} expression The date range expression.
+ * @param {Object=} opt_options Optional settings:
+ *     - today {Date} The date to resolve the expression relative to.
+ *       Defaults to the current date.
+ *     - timezone {String} The timezone in which to get the current date,
+ *       if today is not set.
+ *     - weekStart {Number} The first day of the week. 0 is Sunday.
+ * @return {?Object} The startDate and endDate of the range in the format
+ *     yyyy-MM-dd, or null if the expression is not supported.
+ */
+gadash.dateRange.resolve = function(expression, opt_options) {
+  var options = opt_options || {};
+  var weekStart = options.weekStart || 0;
+
+  var now = options.today || gadash.dateRange.getToday(options.timezone);
+  var today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  var expressions = gadash.dateRange.expressions_;
+  for (var i = 0; i < expressions.length; ++i) {
+    var match = expressions[i][0].exec(expression);
+    if (match) {
+      var range = expressions[i][1](Number(match[1]) || 0, today, weekStart);
+      return {
+        'startDate': gadash.util.formatDate(range[0]),
+        'endDate': gadash.util.formatDate(range[1])
+      };
+    }
+  }
+  return null;
+};
+
+
+/**
+ * Returns the actual start and end dates of a query config. The dates are
+ * taken from the first of the following keys that is set:
+ *   - lastNdays The number of days before today up to today.
+ *   - dateRange A date range expression.
+ *   - startDate and endDate Either actual dates or date range expressions.
+ *     Both must be set.
+ * If none are set, the last 28 days are used. Values that are not
+ * supported expressions are returned as is.
+ * @param {Object} query The query config.
+ * @param {Object=} opt_options Optional settings passed to resolve.
+ * @return {Object} The startDate and endDate of the query.
+ */
+gadash.dateRange.getQueryDates = function(query, opt_options) {
+  var options = {
+    'timezone': query.timezone,
+    'weekStart': query.weekStart
+  };
+  gadash.util.extend(opt_options, options);
+
+  var range;
+  if (query.lastNdays) {
+    range = 'last' + query.lastNdays + 'days';
+  } else if (query.dateRange) {
+    range = query.dateRange;
+  } else if (!query.startDate || !query.endDate) {
+    range = 'last28days';
+  }
+
+  if (range) {
+    return gadash.dateRange.resolve(range, options) ||
+        {'startDate': range, 'endDate': range};
+  }
+
+  var start = gadash.dateRange.resolve(query.startDate, options);
+  var end = gadash.dateRange.resolve(query.endDate, options);
+  return {
+    'startDate': start ? start.startDate : query.startDate,
+    'endDate': end ? end.endDate : query.endDate
+  };
+};
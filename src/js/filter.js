@@ -0,0 +1,317 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Builds query filters from structured objects instead of strings, so that
+ * values never need to be escaped by hand. The filters key of the query
+ * config accepts either a filter string or a filter object:
+ *
+ * gadash.getCoreTable({
+ *   'query': {
+ *     'filters': {
+ *       'and': [
+ *         {'dim': 'ga:country', 'op': '==', 'value': 'United States'},
+ *         {'or': [
+ *           {'dim': 'ga:pagePath', 'op': '=~', 'value': '^/blog'},
+ *           {'dim': 'ga:pagePath', 'op': '=@', 'value': 'news,press'}
+ *         ]}
+ *       ]
+ *     },
+ *     ...
+ *   }
+ * });
+ *
+ * The same object can be built with the helper functions:
+ *
+ * var f = gadash.filter;
+ * f.and(f.dim('ga:country', '==', 'United States'),
+ *       f.or(f.dim('ga:pagePath', '=~', '^/blog'),
+ *            f.dim('ga:pagePath', '=@', 'news,press')));
+ *
+ * Both serialize to:
+ *   ga:country==United States;ga:pagePath=~^/blog,ga:pagePath=@news\,press
+ *
+ * Backslashes, commas and semicolons in values are escaped with a
+ * backslash, so a regular expression value like ^/blog\.html is sent as
+ * ^/blog\\.html.
+ *
+ * The API evaluates OR before AND, so an OR can only contain expressions.
+ * An array is treated as the AND of its items. Updating a query with
+ * setConfig replaces its filters as a whole.
+ *
+ * Existing filter strings can be parsed back into objects for editing:
+ *
+ * gadash.filter.parse('ga:country==US;ga:visits>10');
+ * // {'and': [{'dim': 'ga:country', 'op': '==', 'value': 'US'},
+ * //          {'metric': 'ga:visits', 'op': '>', 'value': '10'}]}
+ */
+
+
+/**
+ * Namespace for the filter module.
+ */
+gadash.filter = gadash.filter || {};
+
+
+/**
+ * The operators supported in filter expressions. Operators that are a
+ * prefix of another operator come after it.
+ * @type {Array.<String>}
+ */
+gadash.filter.OPERATORS = [
+  '==', '!=', '>=', '<=', '>', '<', '=~', '!~', '=@', '!@'
+];
+
+
+/**
+ * Matches a single filter expression.
+ * @type {RegExp}
+ * @private
+ */
+gadash.filter.EXPRESSION_PATTERN_ =
+    /^([a-z]+:\w+)(==|!=|>=|<=|>|<|=~|!~|=@|!@)(.*)$/;
+
+
+/**
+ * Returns a dimension filter expression.
+ * @param {String} name The dimension name, e.g. ga:country.
+ * @param {String} op The operator, e.g. ==.
+ * @param {String} value The value to compare against.
+ * @return {Object} The filter expression.
+ */
+gadash.filter.dim = function(name, op, value) {
+  return {'dim': name, 'op': op, 'value': value};
+};
+
+
+/**
+ * Returns a metric filter expression.
+ * @param {String} name The metric name, e.g. ga:visits.
+ * @param {String} op The operator, e.g. >.
+ * @param {Number|String} value The value to compare against.
+ * @return {Object} The filter expression.
+ */
+gadash.filter.metric = function(name, op, value) {
+  return {'metric': name, 'op': op, 'value': value};
+};
+
+
+/**
+ * Returns a filter that matches when all its arguments match.
+ * @param {...Object} var_args The filters to combine.
+ * @return {Object} The filter.
+ */
+gadash.filter.and = function(var_args) {
+  return {'and': Array.prototype.slice.call(arguments)};
+};
+
+
+/**
+ * Returns a filter that matches when any of its arguments match.
+ * @param {...Object} var_args The filter expressions to combine.
+ * @return {Object} The filter.
+ */
+gadash.filter.or = function(var_args) {
+  return {'or': Array.prototype.slice.call(arguments)};
+};
+
+
+/**
+ * Serializes a filter object into the filter syntax of the API. Strings are
+ * returned as is. Throws an error if the filter can not be expressed in
+ * the syntax of the API.
+ * @param {Object|Array|String} filter The filter to serialize.
+ * @return {String} The filter string.
+ */
+gadash.filter.serialize = function(filter) {
+  if (gadash.util.getType(filter) == 'string') {
+    return filter;
+  }
+
+  var groups = gadash.filter.toGroups_(filter);
+  var parts = [];
+  for (var i = 0; i < groups.length; ++i) {
+    var expressions = [];
+    for (var j = 0; j < groups[i].length; ++j) {
+      expressions.push(gadash.filter.serializeExpression_(groups[i][j]));
+    }
+    parts.push(expressions.join(','));
+  }
+  return parts.join(';');
+};
+
+
+/**
+ * Parses a filter string into a filter object. Expressions on columns that
+ * are metrics in gadash.metadata have a metric key, all others a dim key.
+ * Throws an error if an expression is malformed.
+ * @param {String} filters The filter string.
+ * @return {?Object} The filter object, or null if the string is empty.
+ */
+gadash.filter.parse = function(filters) {
+  if (!filters) {
+    return null;
+  }
+
+  var groups = gadash.filter.split(filters);
+  var and = [];
+  for (var i = 0; i < groups.length; ++i) {
+    var or = [];
+    for (var j = 0; j < groups[i].length; ++j) {
+      var expression = gadash.filter.parseExpression(groups[i][j]);
+      if (!expression) {
+        throw new Error('Malformed filter: ' + groups[i][j] + '.');
+      }
+      or.push(expression);
+    }
+    and.push(or.length == 1 ? or[0] : {'or': or});
+  }
+  return and.length == 1 ? and[0] : {'and': and};
+};
+
+
+/**
+ * Splits a filter string into groups that are combined with AND. Each
+ * group is a list of the expression strings in it that are combined
+ * with OR. Escaped separators do not split the string.
+ * @param {String} filters The filter string.
+ * @return {Array.<Array.<String>>} The groups of expressions.
+ */
+gadash.filter.split = function(filters) {
+  var groups = gadash.filter.splitUnescaped_(filters, ';');
+  for (var i = 0; i < groups.length; ++i) {
+    groups[i] = gadash.filter.splitUnescaped_(groups[i], ',');
+  }
+  return groups;
+};
+
+
+/**
+ * Parses a single filter expression string, e.g. ga:country==US.
+ * @param {String} str The expression string.
+ * @return {?Object} The filter expression, or null if it is malformed.
+ */
+gadash.filter.parseExpression = function(str) {
+  var match = gadash.filter.EXPRESSION_PATTERN_.exec(str);
+  if (!match) {
+    return null;
+  }
+
+  var column = gadash.metadata.getColumn(match[1]);
+  var expression = {};
+  expression[column && column.type == 'METRIC' ? 'metric' : 'dim'] =
+      match[1];
+  expression['op'] = match[2];
+  expression['value'] = match[3].replace(/\\([\\,;])/g, '$1');
+  return expression;
+};
+
+
+/**
+ * Converts a filter object into groups of expressions. The groups are
+ * combined with AND and the expressions in each group with OR.
+ * @param {Object|Array} filter The filter object.
+ * @return {Array.<Array.<Object>>} The groups of expressions.
+ * @private
+ */
+gadash.filter.toGroups_ = function(filter) {
+  if (gadash.util.getType(filter) == 'array' || filter['and']) {
+    var items = filter['and'] || filter;
+    var groups = [];
+    for (var i = 0; i < items.length; ++i) {
+      groups = groups.concat(gadash.filter.toGroups_(items[i]));
+    }
+    return groups;
+  }
+  return [gadash.filter.toExpressions_(filter)];
+};
+
+
+/**
+ * Converts a filter object into a list of expressions combined with OR.
+ * Throws an error if the filter contains an AND of more than one item.
+ * @param {Object} filter The filter object.
+ * @return {Array.<Object>} The expressions.
+ * @private
+ */
+gadash.filter.toExpressions_ = function(filter) {
+  var items = filter['or'] || filter['and'];
+  if (!items) {
+    return [filter];
+  }
+  if (filter['and'] && items.length > 1) {
+    throw new Error('Filters can not be combined with AND inside an OR.');
+  }
+
+  var expressions = [];
+  for (var i = 0; i < items.length; ++i) {
+    expressions = expressions.concat(gadash.filter.toExpressions_(items[i]));
+  }
+  return expressions;
+};
+
+
+/**
+ * Serializes a single filter expression, escaping the backslashes and
+ * separators in its value. Throws an error if the expression has no name
+ * or an unknown operator.
+ * @param {Object} expression The filter expression.
+ * @return {String} The expression string.
+ * @private
+ */
+gadash.filter.serializeExpression_ = function(expression) {
+  var name = expression['dim'] || expression['metric'];
+  if (!name) {
+    throw new Error('Filter expression has no dim or metric: ' +
+        JSON.stringify(expression) + '.');
+  }
+  if (gadash.filter.OPERATORS.indexOf(expression['op']) == -1) {
+    throw new Error('Unknown filter operator: ' + expression['op'] + '.');
+  }
+  var value = String(expression['value']).replace(/([\\,;])/g, '\\$1');
+  return name + expression['op'] + value;
+};
+
+
+/**
+ * Splits a string on a separator, ignoring separators escaped with a
+ * backslash. Escaped characters, including escaped backslashes, are kept
+ * escaped in the parts.
+ * @param {String} str The string to split.
+ * @param {String} separator The single character separator.
+ * @return {Array.<String>} The parts of the string.
+ * @private
+ */
+gadash.filter.splitUnescaped_ = function(str, separator) {
+  var parts = [];
+  var part = '';
+  for (var i = 0; i < str.length; ++i) {
+    var c = str.charAt(i);
+    if (c == '\\') {
+      part += c + str.charAt(++i);
+    } else if (c == separator) {
+      parts.push(part);
+      part = '';
+    } else {
+      part += c;
+    }
+  }
+  parts.push(part);
+  return parts;
+};
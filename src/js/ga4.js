@@ -0,0 +1,428 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Provides a backend that sends queries to the runReport method of the GA4
+ * Data API. Any query or chart can use it by setting the api config option
+ * to ga4. Queries are written exactly like Core Reporting API queries, with
+ * the GA4 names of metrics and dimensions prefixed by ga:. The ids value is
+ * the GA4 property:
+ *
+ * gadash.getCoreLineChart({
+ *   'elementId': 'active-users',
+ *   'api': 'ga4',
+ *   'query': {
+ *     'ids': 'properties/1234',
+ *     'metrics': 'ga:activeUsers',
+ *     'dimensions': 'ga:date',
+ *     'filters': 'ga:country==Canada'
+ *   }
+ * }).execute();
+ *
+ * The query is converted to the dateRanges, dimensions, metrics, filter
+ * expressions and orderBys of a runReport request, and the response is
+ * converted to the Core Reporting API format, so all the chart builders,
+ * and the compare, fetchAll and cache options work unchanged.
+ * GA4 properties have no segments, so queries with a segment return an
+ * error.
+ */
+
+
+/**
+ * Namespace for the ga4 module.
+ */
+gadash.ga4 = gadash.ga4 || {};
+
+
+/**
+ * The base URL of the GA4 Data API.
+ * @type {String}
+ */
+gadash.ga4.API_URL = 'https://analyticsdata.googleapis.com/v1beta/';
+
+
+/**
+ * The Core Reporting API data type of each GA4 metric type. Types not
+ * listed here are FLOAT.
+ * @type {Object.<String, String>}
+ * @private
+ */
+gadash.ga4.DATA_TYPES_ = {
+  'TYPE_INTEGER': 'INTEGER',
+  'TYPE_FLOAT': 'FLOAT',
+  'TYPE_SECONDS': 'TIME',
+  'TYPE_CURRENCY': 'CURRENCY'
+};
+
+
+/**
+ * The string filter match type of each dimension filter operator.
+ * @type {Object.<String, String>}
+ * @private
+ */
+gadash.ga4.MATCH_TYPES_ = {
+  '==': 'EXACT',
+  '=@': 'CONTAINS',
+  '=~': 'PARTIAL_REGEXP'
+};
+
+
+/**
+ * The numeric filter operation of each comparison operator.
+ * @type {Object.<String, String>}
+ * @private
+ */
+gadash.ga4.OPERATIONS_ = {
+  '==': 'EQUAL',
+  '<': 'LESS_THAN',
+  '<=': 'LESS_THAN_OR_EQUAL',
+  '>': 'GREATER_THAN',
+  '>=': 'GREATER_THAN_OR_EQUAL'
+};
+
+
+/**
+ * The operator each negated operator negates.
+ * @type {Object.<String, String>}
+ * @private
+ */
+gadash.ga4.NEGATED_OPERATORS_ = {
+  '!=': '==',
+  '!@': '=@',
+  '!~': '=~'
+};
+
+
+/**
+ * Sends a query to the runReport method of the GA4 Data API, and executes
+ * callback with the response converted to the Core Reporting API format.
+ * If the query can not be converted, callback is executed with an error
+ * object with a code of 400.
+ * @param {Object} actualQuery The query parameters of the Core Reporting
+ *     API format.
+ * @param {Function} callback The function to execute with the response.
+ */
+gadash.ga4.runReport = function(actualQuery, callback) {
+  var body;
+  try {
+    if (actualQuery.segment) {
+      throw new Error('Segments are not supported by the GA4 Data API.');
+    }
+    body = gadash.ga4.getRequestBody(actualQuery);
+  } catch (e) {
+    callback(gadash.core.getInvalidQueryResponse(e.message));
+    return;
+  }
+
+  gadash.transport.send({
+    'path': gadash.ga4.API_URL + gadash.ga4.getProperty_(actualQuery.ids) +
+        ':runReport',
+    'httpMethod': 'POST',
+    'body': body
+  }, function(response) {
+    if (!response || response.error) {
+      callback(response || {
+        'error': {'code': 500, 'message': 'Invalid response from the API.'}
+      });
+    } else {
+      callback(gadash.ga4.getResponse(response, actualQuery));
+    }
+  });
+};
+
+
+/**
+ * Adds the GA4 backend to the backends queries can be sent to.
+ */
+gadash.core.apis['ga4'] = gadash.ga4.runReport;
+
+
+/**
+ * Returns the body of a runReport request for a query. Throws an error if
+ * the filters can not be converted.
+ * @param {Object} actualQuery The query parameters of the Core Reporting
+ *     API format.
+ * @return {Object} The request body.
+ */
+gadash.ga4.getRequestBody = function(actualQuery) {
+  var metrics = gadash.ga4.splitNames_(actualQuery.metrics);
+  var dimensions = gadash.ga4.splitNames_(actualQuery.dimensions);
+
+  var body = {
+    'dateRanges': [{
+      'startDate': actualQuery['start-date'],
+      'endDate': actualQuery['end-date']
+    }],
+    'metrics': [],
+    'dimensions': [],
+    'metricAggregations': ['TOTAL']
+  };
+
+  for (var i = 0; i < metrics.length; ++i) {
+    body.metrics.push({'name': metrics[i]});
+  }
+  for (var i = 0; i < dimensions.length; ++i) {
+    body.dimensions.push({'name': dimensions[i]});
+  }
+
+  if (actualQuery.filters) {
+    gadash.ga4.addFilters_(body, actualQuery.filters, metrics);
+  }
+
+  if (actualQuery.sort) {
+    body.orderBys = gadash.ga4.getOrderBys_(actualQuery.sort, metrics);
+  }
+
+  if (actualQuery['start-index']) {
+    body.offset = actualQuery['start-index'] - 1;
+  }
+  if (actualQuery['max-results']) {
+    body.limit = actualQuery['max-results'];
+  }
+
+  return body;
+};
+
+
+/**
+ * Converts a runReport response into the Core Reporting API format. The
+ * names of all columns are prefixed by ga:. If the report is sampled, its
+ * sampling metadata is set as containsSampledData, sampleSize and
+ * sampleSpace.
+ * @param {Object} report The runReport response.
+ * @param {Object} actualQuery The query the response is for.
+ * @return {Object} The response in the Core Reporting API format.
+ */
+gadash.ga4.getResponse = function(report, actualQuery) {
+  var response = {
+    'query': actualQuery,
+    'columnHeaders': [],
+    'rows': [],
+    'totalResults': report.rowCount || 0,
+    'totalsForAllResults': {},
+    'metadata': report.metadata
+  };
+
+  var dimensionHeaders = report.dimensionHeaders || [];
+  for (var i = 0, header; header = dimensionHeaders[i]; ++i) {
+    response.columnHeaders.push({
+      'name': 'ga:' + header.name,
+      'columnType': 'DIMENSION',
+      'dataType': 'STRING'
+    });
+  }
+
+  var metricHeaders = report.metricHeaders || [];
+  for (var i = 0, header; header = metricHeaders[i]; ++i) {
+    response.columnHeaders.push({
+      'name': 'ga:' + header.name,
+      'columnType': 'METRIC',
+      'dataType': gadash.ga4.DATA_TYPES_[header.type] || 'FLOAT'
+    });
+  }
+
+  var rows = report.rows || [];
+  for (var i = 0, row; row = rows[i]; ++i) {
+    var values = (row.dimensionValues || []).concat(row.metricValues || []);
+    var responseRow = [];
+    for (var j = 0; j < values.length; ++j) {
+      responseRow.push(values[j].value);
+    }
+    response.rows.push(responseRow);
+  }
+
+  var totals = report.totals && report.totals[0];
+  if (totals) {
+    for (var i = 0, header; header = metricHeaders[i]; ++i) {
+      response.totalsForAllResults['ga:' + header.name] =
+          totals.metricValues[i].value;
+    }
+  }
+
+  var samplingMetadatas = report.metadata &&
+      report.metadata.samplingMetadatas;
+  if (samplingMetadatas && samplingMetadatas.length) {
+    var sampleSize = 0;
+    var sampleSpace = 0;
+    for (var i = 0, sampling; sampling = samplingMetadatas[i]; ++i) {
+      sampleSize += Number(sampling.samplesReadCount) || 0;
+      sampleSpace += Number(sampling.samplingSpaceSize) || 0;
+    }
+    response.containsSampledData = true;
+    response.sampleSize = String(sampleSize);
+    response.sampleSpace = String(sampleSpace);
+  }
+
+  return response;
+};
+
+
+/**
+ * Returns the resource name of a GA4 property.
+ * @param {String|Number} ids Either the property ID or its resource name,
+ *     e.g. 1234 or properties/1234.
+ * @return {String} The resource name of the property.
+ * @private
+ */
+gadash.ga4.getProperty_ = function(ids) {
+  ids = String(ids);
+  return ids.indexOf('properties/') == 0 ? ids : 'properties/' + ids;
+};
+
+
+/**
+ * Splits a comma separated list of column names, removing their ga:
+ * prefix.
+ * @param {String=} names The list of names.
+ * @return {Array.<String>} The GA4 names.
+ * @private
+ */
+gadash.ga4.splitNames_ = function(names) {
+  var result = [];
+  var parts = names ? names.split(',') : [];
+  for (var i = 0; i < parts.length; ++i) {
+    if (parts[i]) {
+      result.push(gadash.ga4.getName_(parts[i]));
+    }
+  }
+  return result;
+};
+
+
+/**
+ * Returns the GA4 name of a column.
+ * @param {String} name The name of the column, with or without the ga:
+ *     prefix.
+ * @return {String} The GA4 name.
+ * @private
+ */
+gadash.ga4.getName_ = function(name) {
+  return name.replace(/^ga:/, '');
+};
+
+
+/**
+ * Converts a filter string into the dimensionFilter and metricFilter of
+ * a request body. Expressions on the requested metrics go into the
+ * metricFilter, and all others into the dimensionFilter. Throws an error
+ * if expressions on metrics and dimensions are combined with OR, which the
+ * GA4 Data API can not express.
+ * @param {Object} body The request body.
+ * @param {String} filters The filter string.
+ * @param {Array.<String>} metrics The GA4 names of the requested metrics.
+ * @private
+ */
+gadash.ga4.addFilters_ = function(body, filters, metrics) {
+  var dimensionGroups = [];
+  var metricGroups = [];
+
+  var groups = gadash.filter.split(filters);
+  for (var i = 0; i < groups.length; ++i) {
+    var expressions = [];
+    var isMetric;
+    for (var j = 0; j < groups[i].length; ++j) {
+      var expression = gadash.filter.parseExpression(groups[i][j]);
+      if (!expression) {
+        throw new Error('Malformed filter: ' + groups[i][j] + '.');
+      }
+      var name = gadash.ga4.getName_(expression.dim || expression.metric);
+      var isMetricExpression = metrics.indexOf(name) != -1;
+      if (j > 0 && isMetricExpression != isMetric) {
+        throw new Error('Metric and dimension filters can not be combined ' +
+            'with OR in the GA4 Data API: ' + groups[i].join(',') + '.');
+      }
+      isMetric = isMetricExpression;
+      expressions.push(gadash.ga4.getFilterExpression_(name, expression.op,
+          expression.value, isMetric));
+    }
+
+    (isMetric ? metricGroups : dimensionGroups).push(expressions.length == 1 ?
+        expressions[0] : {'orGroup': {'expressions': expressions}});
+  }
+
+  if (dimensionGroups.length) {
+    body.dimensionFilter = dimensionGroups.length == 1 ? dimensionGroups[0] :
+        {'andGroup': {'expressions': dimensionGroups}};
+  }
+  if (metricGroups.length) {
+    body.metricFilter = metricGroups.length == 1 ? metricGroups[0] :
+        {'andGroup': {'expressions': metricGroups}};
+  }
+};
+
+
+/**
+ * Returns the filter expression for a single filter. Throws an error if
+ * the operator is not supported for the column type.
+ * @param {String} name The GA4 name of the column.
+ * @param {String} op The operator of the filter.
+ * @param {String} value The value of the filter.
+ * @param {Boolean} isMetric Whether the column is a metric.
+ * @return {Object} The filter expression.
+ * @private
+ */
+gadash.ga4.getFilterExpression_ = function(name, op, value, isMetric) {
+  var negatedOp = gadash.ga4.NEGATED_OPERATORS_[op];
+  var filter = {'fieldName': name};
+  var matchType = gadash.ga4.MATCH_TYPES_[negatedOp || op];
+  var operation = gadash.ga4.OPERATIONS_[negatedOp || op];
+
+  if (matchType && !isMetric) {
+    filter.stringFilter = {'matchType': matchType, 'value': value};
+  } else if (operation) {
+    filter.numericFilter = {
+      'operation': operation,
+      'value': {'doubleValue': Number(value)}
+    };
+  } else {
+    throw new Error('The operator ' + op + ' is not supported in GA4 ' +
+        (isMetric ? 'metric' : 'dimension') + ' filters.');
+  }
+
+  var expression = {'filter': filter};
+  return negatedOp ? {'notExpression': expression} : expression;
+};
+
+
+/**
+ * Converts a sort string into the orderBys of a request body.
+ * @param {String} sort The comma separated list of columns to sort by.
+ *     Columns prefixed by - are sorted in descending order.
+ * @param {Array.<String>} metrics The GA4 names of the requested metrics.
+ * @return {Array.<Object>} The orderBys.
+ * @private
+ */
+gadash.ga4.getOrderBys_ = function(sort, metrics) {
+  var orderBys = [];
+  var fields = sort.split(',');
+  for (var i = 0; i < fields.length; ++i) {
+    var isDescending = fields[i].charAt(0) == '-';
+    var name = gadash.ga4.getName_(fields[i].replace(/^-/, ''));
+
+    if (metrics.indexOf(name) != -1) {
+      orderBys.push({'metric': {'metricName': name}, 'desc': isDescending});
+    } else {
+      orderBys.push({
+        'dimension': {'dimensionName': name},
+        'desc': isDescending
+      });
+    }
+  }
+  return orderBys;
+};
@@ -0,0 +1,256 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Provides geo map charts of the ga:country, ga:region and ga:city
+ * dimensions, drawn with google.visualization.GeoChart. The first
+ * dimension of the query sets the defaults of the map:
+ *   - ga:country Shades the countries of the world.
+ *   - ga:region Shades the regions of a country. The region chart option
+ *     is the ISO 3166-1 code of the country, and defaults to US.
+ *   - ga:city Places a marker on each city. Setting the region chart
+ *     option to a country or continent helps find the right cities. The
+ *     markers need a Google Maps API key, set as the mapsApiKey value of
+ *     gadash.init.
+ * Usage:
+ *
+ * gadash.getCoreGeoChart({
+ *   'elementId': 'visits-by-region',
+ *   'query': {
+ *     'ids': 'ga:1174',
+ *     'metrics': 'ga:visits',
+ *     'dimensions': 'ga:region',
+ *     'filters': 'ga:country==Canada'
+ *   },
+ *   'chartOptions': {
+ *     'region': 'CA'
+ *   }
+ * }).execute();
+ *
+ * Country names that GeoChart does not recognize are replaced with their
+ * ISO 3166-1 codes. The names are still shown in the tooltips.
+ */
+
+
+/**
+ * Namespace for the geo module.
+ */
+gadash.geo = gadash.geo || {};
+
+
+/**
+ * The ISO 3166-1 codes of the countries whose names in Google Analytics
+ * are not recognized by GeoChart.
+ * @type {Object.<String, String>}
+ */
+gadash.geo.COUNTRY_CODES = {
+  '\u00c5land Islands': 'AX',
+  'Antigua & Barbuda': 'AG',
+  'Bosnia & Herzegovina': 'BA',
+  'British Virgin Islands': 'VG',
+  'Cape Verde': 'CV',
+  'Caribbean Netherlands': 'BQ',
+  'Congo - Brazzaville': 'CG',
+  'Congo - Kinshasa': 'CD',
+  'C\u00f4te d\u2019Ivoire': 'CI',
+  'Cura\u00e7ao': 'CW',
+  'Czechia': 'CZ',
+  'Falkland Islands (Islas Malvinas)': 'FK',
+  'Heard & McDonald Islands': 'HM',
+  'Hong Kong': 'HK',
+  'Kosovo': 'XK',
+  'Laos': 'LA',
+  'Macau': 'MO',
+  'Macedonia (FYROM)': 'MK',
+  'Micronesia': 'FM',
+  'Myanmar (Burma)': 'MM',
+  'North Korea': 'KP',
+  'Palestine': 'PS',
+  'Russia': 'RU',
+  'S\u00e3o Tom\u00e9 & Pr\u00edncipe': 'ST',
+  'South Korea': 'KR',
+  'St. Barth\u00e9lemy': 'BL',
+  'St. Helena': 'SH',
+  'St. Kitts & Nevis': 'KN',
+  'St. Lucia': 'LC',
+  'St. Martin': 'MF',
+  'St. Pierre & Miquelon': 'PM',
+  'St. Vincent & Grenadines': 'VC',
+  'Svalbard & Jan Mayen': 'SJ',
+  'Syria': 'SY',
+  'Trinidad & Tobago': 'TT',
+  'Turks & Caicos Islands': 'TC',
+  'U.S. Outlying Islands': 'UM',
+  'U.S. Virgin Islands': 'VI',
+  'Wallis & Futuna': 'WF'
+};
+
+
+/**
+ * Returns the value GeoChart should use for a Google Analytics country
+ * name. This is the ISO 3166-1 code of the country if GeoChart does not
+ * recognize its name, and the name otherwise.
+ * @param {String} name The value of the ga:country dimension.
+ * @return {String} The name or code of the country.
+ */
+gadash.geo.getCountryCode = function(name) {
+  return gadash.geo.COUNTRY_CODES[name] || name;
+};
+
+
+/**
+ * The default chart options of all geo charts.
+ * @type {Object}
+ */
+gadash.geo.chartOptions = {
+  height: 300,
+  width: 450,
+  keepAspectRatio: true,
+  datalessRegionColor: '#f5f5f5',
+  colorAxis: {colors: ['#c6dbef', '#058dc7']},
+  legend: {textStyle: {fontSize: 12}}
+};
+
+
+/**
+ * The default chart options for each geo dimension, applied over
+ * chartOptions.
+ * @type {Object.<String, Object>}
+ */
+gadash.geo.DIMENSION_OPTIONS = {
+  'ga:country': {
+    region: 'world',
+    resolution: 'countries',
+    displayMode: 'regions'
+  },
+  'ga:region': {
+    region: 'US',
+    resolution: 'provinces',
+    displayMode: 'regions'
+  },
+  'ga:city': {
+    region: 'world',
+    displayMode: 'markers',
+    sizeAxis: {minSize: 4, maxSize: 16}
+  }
+};
+
+
+/**
+ * Draws the response as a geo chart. The chart options are the defaults of
+ * all geo charts, then the defaults of the first dimension of the query,
+ * then the chartOptions of the config object.
+ * @param {Object} response A Google Analytics API JSON response.
+ * @this {gadash.GaQuery} The GaQuery object.
+ */
+gadash.geo.onSuccessDefault = function(response) {
+  var options = {};
+  gadash.util.extend(gadash.geo.chartOptions, options);
+  gadash.util.extend(
+      gadash.geo.DIMENSION_OPTIONS[response.columnHeaders[0].name], options);
+  gadash.util.extend(this.config.chartOptions, options);
+
+  var dataTable = gadash.geo.getDataTable(response, this.config);
+  var chart = gadash.gviz.getChart(this.config.elementId, 'GeoChart');
+  chart.draw(dataTable, options);
+  gadash.gviz.showSampling(this.config.elementId, response);
+};
+
+
+/**
+ * Creates a DataTable object for a geo chart using a GA response. If the
+ * first column is ga:country, country names GeoChart does not recognize
+ * are replaced with their codes, and the names are kept as the formatted
+ * values.
+ * @param {Object} response A Google Analytics response.
+ * @param {Object=} opt_options Optional settings passed to
+ *     gadash.gviz.getDataTable.
+ * @return {Object} A Google DataTable object populated with the GA
+ *     response data.
+ */
+gadash.geo.getDataTable = function(response, opt_options) {
+  var dataTable = gadash.gviz.getDataTable(response, 'GeoChart',
+      opt_options);
+
+  if (response.columnHeaders[0].name == 'ga:country') {
+    for (var i = 0; i < dataTable.getNumberOfRows(); ++i) {
+      var name = dataTable.getValue(i, 0);
+      var code = gadash.geo.getCountryCode(name);
+      if (code != name) {
+        dataTable.setValue(i, 0, code);
+        dataTable.setFormattedValue(i, 0, name);
+      }
+    }
+  }
+  return dataTable;
+};
+
+
+/**
+ * The configuration that turns a chart built on gadash.gviz.coreChartConfig
+ * into a geo chart.
+ * @type {Object}
+ */
+gadash.geo.chartConfig = {
+  'type': 'GeoChart',
+  'onSuccessDefault': gadash.geo.onSuccessDefault
+};
+
+
+/**
+ * Geo Chart Wrapper. Creates a GaQuery object and sets default settings
+ * specific to geo charts.
+ * An optional configuration object is passed as a paramter and can override
+ * or supplement properties of the configuration object.
+ * Following default values are used for this object:
+ *     for the dimensions: 'ga:country',
+ *     for the start time / date range: 'lastNdays': 28.
+ * @param {...Object} var_args The following arguments can be passed in order:
+ *     elementId, metrics, dimensions, ids, config. The config object can be
+ *     passed as any of the parameters where any parameters that follow are
+ *     ignored.
+ * @return {gadash.GaQuery} a reference to the newly instantiated
+ *     instance. Useful for chaining methods together.
+ */
+gadash.getCoreGeoChart = function(var_args) {
+  // Supported arguments order: div, metrics, dimensions, ids, config
+  var baseConfig = {
+    'elementId': '',
+    'query': {
+      'ids': '',
+      'metrics': '',
+      'dimensions': 'ga:country'
+    }
+  };
+
+  var argSetters = [
+    function(obj, arg) {obj.elementId = arg},
+    function(obj, arg) {obj.query.metrics = arg},
+    function(obj, arg) {obj.query.dimensions = arg},
+    function(obj, arg) {obj.query.ids = arg}
+  ];
+
+  var argsObj = gadash.gviz.getConfigFromArgs(baseConfig, argSetters,
+      arguments);
+
+  return new gadash.GaQuery(gadash.gviz.coreChartConfig)
+  .setConfig(argsObj.baseConfig)
+  .setConfig(gadash.geo.chartConfig)
+  .setConfig(argsObj.userConfig);
+};
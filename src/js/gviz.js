@@ -46,14 +46,23 @@ gadash.gviz = gadash.gviz || {};
  * @this {gadash.GaQuery} The base GaQuery object.
  */
 gadash.gviz.onRequestDefault = function() {
-  gadash.util.getElement(this.config.elementId).innerHTML = [
+  gadash.gviz.showLoader(this.config.elementId);
+  gadash.util.bindMethod(this, gadash.core.onRequestDefault)();
+};
+
+
+/**
+ * Replaces the content of an element with a loading message.
+ * @param {Object|String} elementId The element or its ID.
+ */
+gadash.gviz.showLoader = function(elementId) {
+  gadash.util.getElement(elementId).innerHTML = [
     '<div class="ga-loader" ',
     'style="color:#777;font-size:18px;overflow:hidden">',
     '<img style="display:block;float:left" src="',
     gadash.util.getLoaderUri(), '">',
     '<div style="margin:6px 0 0 12px;float:left">Loading...</div></p>'
   ].join('');
-  gadash.util.bindMethod(this, gadash.core.onRequestDefault)();
 };
 
 
@@ -70,29 +79,76 @@ gadash.gviz.onResponseDefault = function() {
  * Default callback for creating Google Charts with a response. First, the
  * response is put into a DataTable object Second, the corresponding chart
  * is returned. The two are then combined to draw a query that is populated
- * with the GA data.
+ * with the GA data. If the response contains sampled data, a badge with
+ * the sampling percentage is added below the chart.
  * @param {Object} response A Google Analytics API JSON response.
  * @this {gadash.GaQuery} The base GaQuery object.
  */
 gadash.gviz.onSuccessDefault = function(response) {
-  var dataTable = gadash.gviz.getDataTable(response, this.config.type);
+  var dataTable = gadash.gviz.getDataTable(response, this.config.type,
+      this.config);
   var chart = gadash.gviz.getChart(this.config.elementId, this.config.type);
   gadash.gviz.draw(chart, dataTable, this.config.chartOptions);
+  gadash.gviz.showSampling(this.config.elementId, response);
+};
+
+
+/**
+ * Adds a badge to an element saying what percentage of the sessions a
+ * response is based on, if the response contains sampled data. The badge
+ * has the class ga-sampling, so it can be styled by the page.
+ * @param {Object|String} elementId The element or its ID.
+ * @param {Object} response A Google Analytics API JSON response.
+ */
+gadash.gviz.showSampling = function(elementId, response) {
+  var sampling = gadash.core.getSampling(response);
+  if (!sampling) {
+    return;
+  }
+
+  var badge = document.createElement('div');
+  badge.className = 'ga-sampling';
+  badge.style.color = '#b06000';
+  badge.style.fontSize = '12px';
+  badge.title = 'This report is based on ' + sampling.sampleSize +
+      ' sessions (' + sampling.percentage + '% of ' + sampling.sampleSpace +
+      ' sessions).';
+  badge.innerHTML = 'Sampled: ' + sampling.percentage + '% of sessions';
+  gadash.util.getElement(elementId).appendChild(badge);
 };
 
 
 /**
  * Creates a DataTable object using a GA response.
+ * If the response contains comparison columns, charts display each
+ * comparison column as its own series. Tables also get a percentage change
+ * column after each comparison column.
+ * Multi-Channel Funnels API cells are flattened into strings.
+ * The following options use the totalsForAllResults of the response:
+ *   - totalsRow {Boolean|String} Tables get a footer row with the total of
+ *     each metric. If set to 'average', the row has the average value per
+ *     row instead. See gadash.core.getTotals.
+ *   - percentOfTotal {Boolean} Tables get a % of Total column after each
+ *     integer and currency metric. Charts add the percentage to the
+ *     formatted values of those metrics, which are shown in tooltips.
  * @param {Object} resp A Google Analytics response.
  * @param {String=} opt_chartType The chart type. Provides a hint on
  *     how to parse the API results into a data table.
+ * @param {Object=} opt_options Optional settings. Usually the config object
+ *     of the chart.
  * @return {Object} data A Google DataTable object populated
  *     with the GA response data.
  * @this references the Chart object.
  */
-gadash.gviz.getDataTable = function(resp, opt_chartType) {
+gadash.gviz.getDataTable = function(resp, opt_chartType, opt_options) {
 
   var chartType = opt_chartType || false;
+  var options = opt_options || {};
+  var isTable = !chartType || chartType == 'Table';
+  var columnIndexes = [];
+  var changeColumnIndexes = [];
+  var percentColumnIndexes = [];
+  var totals = gadash.core.getTotals(resp);
 
   var data = new google.visualization.DataTable();
   var numOfColumns = resp.columnHeaders.length;
@@ -118,12 +174,22 @@ gadash.gviz.getDataTable = function(resp, opt_chartType) {
         !(chartType == 'ColumnChart' || chartType == 'BarChart')) {
 
       dataType = 'date';
-    } else if (dataType == 'STRING') {
+    } else if (dataType == 'STRING' || dataType == 'MCF_SEQUENCE') {
       dataType = 'string';
     } else {
       dataType = 'number';
     }
-    data.addColumn(dataType, gadash.util.formatGAString(name));
+    columnIndexes.push(data.addColumn(dataType,
+        gadash.gviz.getColumnLabel_(resp.columnHeaders[i])));
+
+    if (isTable && resp.columnHeaders[i].comparison) {
+      changeColumnIndexes.push(data.addColumn('number', '% Change'));
+    }
+
+    var total = gadash.gviz.getPercentTotal_(resp.columnHeaders[i], totals);
+    if (options.percentOfTotal && total && isTable) {
+      percentColumnIndexes.push(data.addColumn('number', '% of Total'));
+    }
   }
 
   /*
@@ -133,28 +199,40 @@ gadash.gviz.getDataTable = function(resp, opt_chartType) {
    */
   for (var i = 0; i < numOfRows; i++) {
     var arrayMetrics = [];
+    var values = [];
     for (var j = 0; j < numOfColumns; j++) {
       var name = resp.columnHeaders[j].name;
       var dataType = resp.columnHeaders[j].dataType;
+      var value = gadash.gviz.getCellValue_(resp.rows[i][j]);
 
       if (name == 'ga:date' &&
           !(chartType == 'ColumnChart' || chartType == 'BarChart')) {
 
-        arrayMetrics.push(gadash.util.stringToDate(resp.rows[i][j]));
-      } else if (dataType == 'INTEGER') {
-        arrayMetrics.push(parseInt(resp.rows[i][j]));
-      } else if (dataType == 'CURRENCY') {
-        arrayMetrics.push(parseFloat(resp.rows[i][j]));
-      } else if (dataType == 'PERCENT' || dataType == 'TIME' ||
-          dataType == 'FLOAT') {
-        arrayMetrics.push(Math.round((resp.rows[i][j]) * 100) / 100);
+        values.push(gadash.util.stringToDate(value));
       } else {
-        arrayMetrics.push(resp.rows[i][j]);
+        values.push(gadash.gviz.getNumberValue_(value, dataType));
+      }
+      arrayMetrics.push(values[j]);
+
+      // Comparison columns directly follow the column they compare to.
+      if (isTable && resp.columnHeaders[j].comparison) {
+        arrayMetrics.push(gadash.gviz.getPercentChange_(values[j - 1],
+            values[j]));
+      }
+
+      var total = gadash.gviz.getPercentTotal_(resp.columnHeaders[j], totals);
+      if (options.percentOfTotal && total && isTable) {
+        arrayMetrics.push(Math.round(value / total * 10000) / 100);
       }
     }
     data.addRow(arrayMetrics);
   }
 
+  if (options.totalsRow && isTable && numOfRows) {
+    data.addRow(gadash.gviz.getTotalsRow_(resp, totals,
+        options.totalsRow == 'average', !!options.percentOfTotal));
+  }
+
   /*
    * Iterates through each column in the data table and formats
    * any column that has a CURRENCY datatype to two decimal places
@@ -165,7 +243,32 @@ gadash.gviz.getDataTable = function(resp, opt_chartType) {
     if (dataType == 'CURRENCY') {
       var formatter = new google.visualization.NumberFormat(
           {fractionDigits: 2});
-      formatter.format(data, i);
+      formatter.format(data, columnIndexes[i]);
+    }
+  }
+
+  for (var i = 0; i < changeColumnIndexes.length; i++) {
+    var changeFormatter = new google.visualization.NumberFormat(
+        {fractionDigits: 1, suffix: '%'});
+    changeFormatter.format(data, changeColumnIndexes[i]);
+  }
+
+  for (var i = 0; i < percentColumnIndexes.length; i++) {
+    var percentFormatter = new google.visualization.NumberFormat(
+        {fractionDigits: 1, suffix: '%'});
+    percentFormatter.format(data, percentColumnIndexes[i]);
+  }
+
+  // Charts show the percentage of the total in the tooltips instead.
+  if (options.percentOfTotal && !isTable) {
+    for (var j = 0; j < numOfColumns; j++) {
+      var total = gadash.gviz.getPercentTotal_(resp.columnHeaders[j], totals);
+      for (var i = 0; total && i < numOfRows; i++) {
+        var value = data.getValue(i, columnIndexes[j]);
+        data.setFormattedValue(i, columnIndexes[j],
+            data.getFormattedValue(i, columnIndexes[j]) + ' (' +
+            Math.round(value / total * 1000) / 10 + '%)');
+      }
     }
   }
 
@@ -173,6 +276,166 @@ gadash.gviz.getDataTable = function(resp, opt_chartType) {
 };
 
 
+/**
+ * Returns a value of a response as the number stored in a DataTable,
+ * based on the data type of its column. Percent, time and float values are
+ * rounded to two decimal places. Strings are returned as is.
+ * @param {String} value The value from the response.
+ * @param {String} dataType The data type of the column.
+ * @return {Number|String} The value to store in the DataTable.
+ * @private
+ */
+gadash.gviz.getNumberValue_ = function(value, dataType) {
+  if (dataType == 'INTEGER') {
+    return parseInt(value);
+  } else if (dataType == 'CURRENCY') {
+    return parseFloat(value);
+  } else if (dataType == 'PERCENT' || dataType == 'TIME' ||
+      dataType == 'FLOAT') {
+    return Math.round(value * 100) / 100;
+  }
+  return value;
+};
+
+
+/**
+ * Returns the total that the values of a column are a percentage of, or 0
+ * if the column has no total or its values can not be added together.
+ * Comparison columns are not given a percentage.
+ * @param {Object} columnHeader The column header from the API response.
+ * @param {Object} totals The totals returned by gadash.core.getTotals.
+ * @return {Number} The total of the column.
+ * @private
+ */
+gadash.gviz.getPercentTotal_ = function(columnHeader, totals) {
+  var total = totals[columnHeader.name];
+  if (!total || columnHeader.comparison ||
+      !gadash.core.isAdditive(total.dataType)) {
+    return 0;
+  }
+  return total.total;
+};
+
+
+/**
+ * Returns the footer row of a table with the total or average of each
+ * metric. The first column holds the label of the row. Comparison columns
+ * hold the totals of the comparison date range, and percentage columns
+ * are filled in to match the columns added by getDataTable.
+ * @param {Object} resp A Google Analytics response.
+ * @param {Object} totals The totals returned by gadash.core.getTotals.
+ * @param {Boolean} isAverage Whether to use the averages instead of the
+ *     totals.
+ * @param {Boolean} hasPercentColumns Whether the table has % of Total
+ *     columns.
+ * @return {Array} The row to add to the DataTable.
+ * @private
+ */
+gadash.gviz.getTotalsRow_ = function(resp, totals, isAverage,
+    hasPercentColumns) {
+  var row = [];
+  var headers = resp.columnHeaders;
+  var resultCount = Number(resp.totalResults) || resp.rows.length;
+
+  var previousValue = null;
+  for (var i = 0, header; header = headers[i]; ++i) {
+    var total = totals[header.name];
+    var value = null;
+
+    if (header.columnType != 'METRIC') {
+      if (!row.length) {
+        value = {'v': null, 'f': isAverage ? 'Average' : 'Total'};
+      }
+    } else if (total && header.comparison) {
+      value = total.comparisonTotal;
+      if (isAverage && gadash.core.isAdditive(total.dataType)) {
+        value /= resultCount;
+      }
+    } else if (total) {
+      value = isAverage ? total.average : total.total;
+    }
+
+    if (gadash.util.getType(value) == 'number') {
+      // Averages of integer metrics are not whole numbers.
+      value = isAverage && header.dataType == 'INTEGER' ?
+          Math.round(value * 100) / 100 :
+          gadash.gviz.getNumberValue_(value, header.dataType);
+    }
+    row.push(value);
+
+    if (header.comparison) {
+      row.push(gadash.gviz.getPercentChange_(previousValue, value));
+    }
+    previousValue = value;
+    if (hasPercentColumns && gadash.gviz.getPercentTotal_(header, totals)) {
+      row.push(isAverage ? Math.round(10000 / resultCount) / 100 : 100);
+    }
+  }
+  return row;
+};
+
+
+/**
+ * Returns the value of a cell of a response as a string. Multi-Channel
+ * Funnels API cells are objects holding either a primitiveValue, or a
+ * conversionPathValue which is a list of the interactions of a path.
+ * Interactions are joined by ' > ', and those that are not clicks have
+ * their interaction type added, e.g. 'Direct > Email (IMPRESSION)'. Cells of
+ * all other APIs are returned as is.
+ * @param {String|Object} cell The cell of the response.
+ * @return {String} The value of the cell.
+ * @private
+ */
+gadash.gviz.getCellValue_ = function(cell) {
+  if (gadash.util.getType(cell) != 'object') {
+    return cell;
+  }
+  if (cell.conversionPathValue) {
+    var nodes = [];
+    for (var i = 0, node; node = cell.conversionPathValue[i]; ++i) {
+      var interactionType = node.interactionType;
+      nodes.push(node.nodeValue + (interactionType &&
+          interactionType != 'CLICK' ? ' (' + interactionType + ')' : ''));
+    }
+    return nodes.join(' > ');
+  }
+  return cell.primitiveValue;
+};
+
+
+/**
+ * Returns the label of a column. Comparison columns are labeled with the
+ * comparison date range they hold.
+ * @param {Object} columnHeader The column header from the API response.
+ * @return {String} The column label.
+ * @private
+ */
+gadash.gviz.getColumnLabel_ = function(columnHeader) {
+  var label = gadash.util.formatGAString(columnHeader.name);
+  if (columnHeader.comparison) {
+    label += ' (' + columnHeader.comparison + ')';
+  }
+  return label;
+};
+
+
+/**
+ * Returns the percentage change from a comparison value to a value.
+ * @param {Number} value The value.
+ * @param {Number} comparisonValue The value being compared against.
+ * @return {?Number} The percentage change, or null if the comparison
+ *     value is 0.
+ * @private
+ */
+gadash.gviz.getPercentChange_ = function(value, comparisonValue) {
+  if (!comparisonValue) {
+    return null;
+  }
+  return Math.round((value - comparisonValue) / comparisonValue * 10000) /
+      100;
+};
+
+
 /**
  * Checks to see if the type of chart in the config is valid.
  * If it is, get its chart instance, else return a Table instance.
@@ -229,6 +492,7 @@ gadash.gviz.createDateFormater = function(dataTable) {
 gadash.gviz.coreChartConfig = {
   'onRequestDefault': gadash.gviz.onRequestDefault,
   'onResponseDefault': gadash.gviz.onResponseDefault,
+  'onAbortDefault': gadash.gviz.onResponseDefault,
   'onSuccessDefault': gadash.gviz.onSuccessDefault,
   'onErrorDefault': gadash.onErrorDefault
 };
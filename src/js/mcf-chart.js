@@ -0,0 +1,80 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Provides the chart builder for the Multi-Channel Funnels Reporting API.
+ * See mcf.js for the queries:
+ *
+ * gadash.getMcfChart({
+ *   'elementId': 'top-paths',
+ *   'type': 'Table',
+ *   'query': {
+ *     'ids': 'ga:1174',
+ *     'metrics': 'mcf:totalConversions',
+ *     'dimensions': 'mcf:basicChannelGroupingPath',
+ *     'sort': '-mcf:totalConversions',
+ *     'dateRange': 'lastMonth'
+ *   }
+ * }).execute();
+ *
+ * The cells of the API response are objects. gadash.gviz.getDataTable
+ * flattens them into strings, so conversion paths are displayed as, e.g.
+ * 'Organic Search > Direct'.
+ */
+
+
+/**
+ * Namespace for the mcf module.
+ */
+gadash.mcf = gadash.mcf || {};
+
+
+/**
+ * Adds a loading message to the div in which the chart is executed.
+ * Then queries the Multi-Channel Funnels Reporting API.
+ * @this {gadash.GaQuery} The GaQuery object.
+ */
+gadash.mcf.onChartRequestDefault = function() {
+  gadash.gviz.showLoader(this.config.elementId);
+  gadash.util.bindMethod(this, gadash.mcf.onRequestDefault)();
+};
+
+
+/**
+ * The configuration that turns a chart built on gadash.gviz.coreChartConfig
+ * into a Multi-Channel Funnels Reporting API chart.
+ * @type {Object}
+ */
+gadash.mcf.chartConfig = {
+  'api': 'mcf',
+  'onRequestDefault': gadash.mcf.onChartRequestDefault
+};
+
+
+/**
+ * Base Chart for the Multi-Channel Funnels Reporting API.
+ * @param {Object=} opt_config An optional configuration object.
+ * @return {gadash.GaQuery} The newly created GaQuery object.
+ */
+gadash.getMcfChart = function(opt_config) {
+  return new gadash.GaQuery()
+      .setConfig(gadash.gviz.coreChartConfig)
+      .setConfig(gadash.mcf.chartConfig)
+      .setConfig(opt_config);
+};
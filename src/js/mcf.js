@@ -0,0 +1,115 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Provides the query builder for the Multi-Channel Funnels Reporting API.
+ * Queries use mcf: metrics and dimensions, and support the same date,
+ * filter, cache and fetchAll options as Core Reporting API queries. The
+ * chart builder is in mcf-chart.js, which is only part of the browser
+ * build.
+ */
+
+
+/**
+ * Namespace for the mcf module.
+ */
+gadash.mcf = gadash.mcf || {};
+
+
+/**
+ * Multi-Channel Funnels Query Builder. This returns a basic object to query
+ * the Multi-Channel Funnels Reporting API. Developers must override the
+ * onSuccess handler to manage the results of the API. Usage:
+ *
+ * gadash.getMcfQuery({
+ *   'query': {
+ *     'lastNdays': 30,
+ *     'ids': 'ga:1174',
+ *     'metrics': 'mcf:assistedConversions,mcf:lastInteractionConversions',
+ *     'dimensions': 'mcf:source'
+ *   },
+ *   'onSuccess': function(response) {
+ *     console.log(response.rows[0][0].primitiveValue);
+ *   }
+ * });
+ *
+ * @param {Object=} opt_config An optional query configuration object.
+ * @return {gadash.GaQuery} A GaQuery object configured to query the
+ *     Multi-Channel Funnels Reporting API.
+ */
+gadash.getMcfQuery = function(opt_config) {
+  return new gadash.GaQuery({
+    'api': 'mcf',
+    'onRequestDefault': gadash.mcf.onRequestDefault,
+    'onErrorDefault': gadash.onErrorDefault
+  }).setConfig(opt_config);
+};
+
+
+/**
+ * Requests data from the Multi-Channel Funnels Reporting API using the
+ * query in the config object. If the fetchAll option is set in the config
+ * object, all pages of results are requested. If the filters value of the
+ * query is malformed, no request is made. Instead the problem is handled as
+ * an API error with a code of 400.
+ * @this {gadash.GaQuery} The GaQuery object.
+ */
+gadash.mcf.onRequestDefault = function() {
+  try {
+    this.config.actualQuery = gadash.mcf.getMcfQueryObj(this.config);
+  } catch (e) {
+    this.callback(gadash.core.getInvalidQueryResponse(e.message));
+    return;
+  }
+  var callback = this.getCallback();
+
+  if (this.config.fetchAll) {
+    gadash.core.fetchAll(this.config.actualQuery, callback, this.config);
+  } else {
+    gadash.core.executeRequest(this.config.actualQuery, callback,
+        this.config);
+  }
+};
+
+
+/**
+ * The parameters built by gadash.core.getCoreQueryObj that the
+ * Multi-Channel Funnels Reporting API does not support.
+ * @type {Array.<String>}
+ * @private
+ */
+gadash.mcf.UNSUPPORTED_PARAMS_ = ['segment'];
+
+
+/**
+ * Returns the actual query values issued to the Multi-Channel Funnels
+ * Reporting API. The query is built by gadash.core.getCoreQueryObj, so the
+ * dates, filters and camel cased values are handled the same way, and the
+ * parameters the API does not support are removed.
+ * @param {Object} config The GaQuery config object.
+ * @return {Object} The query parameters to send to the API.
+ */
+gadash.mcf.getMcfQueryObj = function(config) {
+  var actualQuery = gadash.core.getCoreQueryObj(config);
+  var unsupported = gadash.mcf.UNSUPPORTED_PARAMS_;
+  for (var i = 0; i < unsupported.length; ++i) {
+    delete actualQuery[unsupported[i]];
+  }
+  return actualQuery;
+};
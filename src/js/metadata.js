@@ -0,0 +1,474 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Provides a catalog of the metrics and dimensions of the Core Reporting API
+ * and validates queries against it, so mistakes like typos in column names
+ * are reported before a request is sent to the API.
+ * The library bundles the most commonly used columns, and the combinations
+ * of them the API does not allow. The full catalog of columns can be loaded
+ * from the Metadata API once the library has loaded:
+ *
+ * gadash.metadata.refresh(function() {
+ *   // All columns are now available.
+ * });
+ *
+ * Queries of the Core Reporting API are validated before they are executed
+ * if the validate option of the config object is set. The catalog has no
+ * columns of the other APIs, so their queries are not validated:
+ *
+ * gadash.getCoreQuery({
+ *   'query': {...},
+ *   'validate': true
+ * });
+ */
+
+
+/**
+ * Namespace for the metadata module.
+ */
+gadash.metadata = gadash.metadata || {};
+
+
+/**
+ * The maximum number of metrics in a single query.
+ * @const {Number}
+ */
+gadash.metadata.MAX_METRICS = 10;
+
+
+/**
+ * The maximum number of dimensions in a single query.
+ * @const {Number}
+ */
+gadash.metadata.MAX_DIMENSIONS = 7;
+
+
+/**
+ * The catalog of columns, keyed by column name. Each column has a type,
+ * either DIMENSION or METRIC, and a dataType. Templated columns, like
+ * ga:goalXXCompletions, use XX in place of the index.
+ * @type {Object.<String, Object>}
+ */
+gadash.metadata.columns = {};
+
+
+/**
+ * Adds columns to the catalog.
+ * @param {String} type The type of all the columns.
+ * @param {String} dataType The data type of all the columns.
+ * @param {Array.<String>} names The names of the columns.
+ * @private
+ */
+gadash.metadata.addColumns_ = function(type, dataType, names) {
+  for (var i = 0, name; name = names[i]; ++i) {
+    gadash.metadata.columns[name] = {
+      'type': type,
+      'dataType': dataType
+    };
+  }
+};
+
+
+gadash.metadata.addColumns_('DIMENSION', 'STRING', [
+  'ga:date', 'ga:year', 'ga:month', 'ga:week', 'ga:day', 'ga:hour',
+  'ga:dayOfWeek', 'ga:dayOfWeekName', 'ga:dateHour', 'ga:yearMonth',
+  'ga:yearWeek', 'ga:nthDay', 'ga:nthWeek', 'ga:nthMonth',
+  'ga:userType', 'ga:visitorType', 'ga:sessionCount', 'ga:visitCount',
+  'ga:daysSinceLastSession', 'ga:daysSinceLastVisit',
+  'ga:source', 'ga:medium', 'ga:sourceMedium', 'ga:campaign', 'ga:keyword',
+  'ga:adContent', 'ga:socialNetwork', 'ga:hasSocialSourceReferral',
+  'ga:referralPath', 'ga:fullReferrer', 'ga:channelGrouping',
+  'ga:browser', 'ga:browserVersion', 'ga:operatingSystem',
+  'ga:operatingSystemVersion', 'ga:deviceCategory',
+  'ga:mobileDeviceBranding', 'ga:mobileDeviceModel', 'ga:isMobile',
+  'ga:isTablet', 'ga:language', 'ga:screenResolution', 'ga:screenColors',
+  'ga:continent', 'ga:subContinent', 'ga:country', 'ga:region', 'ga:metro',
+  'ga:city', 'ga:latitude', 'ga:longitude',
+  'ga:hostname', 'ga:pagePath', 'ga:pageTitle', 'ga:landingPagePath',
+  'ga:exitPagePath', 'ga:previousPagePath', 'ga:nextPagePath',
+  'ga:pageDepth', 'ga:searchKeyword', 'ga:searchCategory',
+  'ga:eventCategory', 'ga:eventAction', 'ga:eventLabel',
+  'ga:transactionId', 'ga:affiliation', 'ga:productName', 'ga:productSku',
+  'ga:productCategory', 'ga:goalCompletionLocation',
+  'ga:goalPreviousStep1', 'ga:dimensionXX', 'ga:customVarNameXX',
+  'ga:customVarValueXX'
+]);
+
+gadash.metadata.addColumns_('METRIC', 'INTEGER', [
+  'ga:users', 'ga:visitors', 'ga:newUsers', 'ga:newVisits', 'ga:sessions',
+  'ga:visits', 'ga:bounces', 'ga:pageviews', 'ga:uniquePageviews',
+  'ga:entrances', 'ga:exits', 'ga:organicSearches', 'ga:totalEvents',
+  'ga:uniqueEvents', 'ga:eventValue', 'ga:sessionsWithEvent',
+  'ga:visitsWithEvent', 'ga:transactions', 'ga:itemQuantity',
+  'ga:uniquePurchases', 'ga:goalCompletionsAll', 'ga:goalStartsAll',
+  'ga:goalXXCompletions', 'ga:goalXXStarts', 'ga:searchResultViews',
+  'ga:searchUniques', 'ga:searchSessions', 'ga:searchVisits',
+  'ga:pageLoadTime', 'ga:pageLoadSample', 'ga:impressions', 'ga:adClicks',
+  'ga:metricXX'
+]);
+
+gadash.metadata.addColumns_('METRIC', 'FLOAT', [
+  'ga:pageviewsPerSession', 'ga:pageviewsPerVisit', 'ga:avgEventValue',
+  'ga:avgPageLoadTime'
+]);
+
+gadash.metadata.addColumns_('METRIC', 'PERCENT', [
+  'ga:percentNewSessions', 'ga:percentNewVisits', 'ga:bounceRate',
+  'ga:visitBounceRate', 'ga:entranceRate', 'ga:exitRate',
+  'ga:transactionsPerSession', 'ga:transactionsPerVisit',
+  'ga:goalConversionRateAll', 'ga:goalXXConversionRate', 'ga:CTR'
+]);
+
+gadash.metadata.addColumns_('METRIC', 'TIME', [
+  'ga:sessionDuration', 'ga:timeOnSite', 'ga:avgSessionDuration',
+  'ga:avgTimeOnSite', 'ga:timeOnPage', 'ga:avgTimeOnPage'
+]);
+
+gadash.metadata.addColumns_('METRIC', 'CURRENCY', [
+  'ga:transactionRevenue', 'ga:revenuePerTransaction',
+  'ga:transactionShipping', 'ga:transactionTax', 'ga:itemRevenue',
+  'ga:goalValueAll', 'ga:goalXXValue', 'ga:adCost', 'ga:CPC'
+]);
+
+
+/**
+ * Pairs of column lists that can not be combined in a query. A column of
+ * the first list of a pair can not be requested together with a column of
+ * the second. The Metadata API does not return these, so they are kept when
+ * the catalog is refreshed. More pairs can be added to this list:
+ *   - AdWords metrics are collected per session, and can not be split by
+ *     page, event, search, ecommerce or goal dimensions.
+ *   - Product dimensions only apply to ecommerce metrics, and can not be
+ *     combined with page, event, search or site speed metrics.
+ *   - Site speed metrics can not be split by event or product dimensions.
+ * @type {Array.<Array.<Array.<String>>>}
+ */
+gadash.metadata.incompatibleColumns = [
+  [
+    ['ga:impressions', 'ga:adClicks', 'ga:adCost', 'ga:CPC', 'ga:CTR'],
+    ['ga:pagePath', 'ga:pageTitle', 'ga:exitPagePath', 'ga:previousPagePath',
+     'ga:nextPagePath', 'ga:pageDepth', 'ga:eventCategory', 'ga:eventAction',
+     'ga:eventLabel', 'ga:searchKeyword', 'ga:searchCategory',
+     'ga:transactionId', 'ga:affiliation', 'ga:productName', 'ga:productSku',
+     'ga:productCategory', 'ga:goalCompletionLocation',
+     'ga:goalPreviousStep1']
+  ],
+  [
+    ['ga:productName', 'ga:productSku', 'ga:productCategory'],
+    ['ga:pageviews', 'ga:uniquePageviews', 'ga:timeOnPage',
+     'ga:avgTimeOnPage', 'ga:entrances', 'ga:entranceRate', 'ga:exits',
+     'ga:exitRate', 'ga:totalEvents', 'ga:uniqueEvents', 'ga:eventValue',
+     'ga:avgEventValue', 'ga:searchResultViews', 'ga:searchUniques',
+     'ga:pageLoadTime', 'ga:pageLoadSample', 'ga:avgPageLoadTime']
+  ],
+  [
+    ['ga:pageLoadTime', 'ga:pageLoadSample', 'ga:avgPageLoadTime'],
+    ['ga:eventCategory', 'ga:eventAction', 'ga:eventLabel']
+  ]
+];
+
+
+/**
+ * Replaces the catalog with all the columns from the Metadata API.
+ * Requires the library to have loaded.
+ * @param {Function=} opt_callback Optional function to execute once the
+ *     catalog has been updated. Passed the error object returned by the API
+ *     if the request failed.
+ */
+gadash.metadata.refresh = function(opt_callback) {
+  gadash.transport.send({
+    'method': 'analytics.metadata.columns.list',
+    'params': {'reportType': 'ga'}
+  }, function(response) {
+    if (!response.error) {
+      gadash.metadata.columns = {};
+      for (var i = 0, item; item = response.items[i]; ++i) {
+        gadash.metadata.columns[item.id] = {
+          'type': item.attributes.type,
+          'dataType': item.attributes.dataType
+        };
+      }
+    }
+    if (opt_callback) {
+      opt_callback(response.error);
+    }
+  });
+};
+
+
+/**
+ * Returns a column from the catalog. Templated columns are matched by
+ * replacing the index in the name with XX.
+ * @param {String} name The name of the column, e.g. ga:goal1Completions.
+ * @return {Object|undefined} The column, or undefined if it is not in the
+ *     catalog.
+ */
+gadash.metadata.getColumn = function(name) {
+  return gadash.metadata.columns[name] ||
+      gadash.metadata.columns[name.replace(/\d+/, 'XX')];
+};
+
+
+/**
+ * Validates a query config against the catalog. Checks that:
+ *   - at least one metric is requested.
+ *   - all metrics and dimensions exist.
+ *   - there are no more than MAX_METRICS metrics and MAX_DIMENSIONS
+ *     dimensions.
+ *   - no metrics and dimensions that can not be combined are requested.
+ *     See incompatibleColumns.
+ *   - all sort fields are requested metrics or dimensions.
+ *   - all filters are well formed, use existing columns and operators
+ *     valid for their type, and do not combine metric and dimension
+ *     filters with OR.
+ * @param {Object} query The query config.
+ * @return {Array.<String>} A message for every problem found. Empty if the
+ *     query is valid.
+ */
+gadash.metadata.validateQuery = function(query) {
+  var errors = [];
+  var metrics = gadash.metadata.splitNames_(query.metrics);
+  var dimensions = gadash.metadata.splitNames_(query.dimensions);
+
+  if (!metrics.length) {
+    errors.push('At least one metric is required.');
+  }
+  if (metrics.length > gadash.metadata.MAX_METRICS) {
+    errors.push('Too many metrics: ' + metrics.length + '. The maximum is ' +
+        gadash.metadata.MAX_METRICS + '.');
+  }
+  if (dimensions.length > gadash.metadata.MAX_DIMENSIONS) {
+    errors.push('Too many dimensions: ' + dimensions.length +
+        '. The maximum is ' + gadash.metadata.MAX_DIMENSIONS + '.');
+  }
+
+  for (var i = 0; i < metrics.length; ++i) {
+    gadash.metadata.checkColumn_(metrics[i], 'METRIC', errors);
+  }
+  for (var i = 0; i < dimensions.length; ++i) {
+    gadash.metadata.checkColumn_(dimensions[i], 'DIMENSION', errors);
+  }
+
+  gadash.metadata.checkCombinations_(metrics.concat(dimensions), errors);
+
+  var requested = ',' + metrics.concat(dimensions).join(',') + ',';
+  var sort = gadash.metadata.splitNames_(query.sort);
+  for (var i = 0; i < sort.length; ++i) {
+    var field = sort[i].replace(/^-/, '');
+    if (requested.indexOf(',' + field + ',') == -1) {
+      errors.push('Invalid sort field: ' + field + '. Only requested ' +
+          'metrics and dimensions can be sorted.');
+    }
+  }
+
+  if (query.filters) {
+    try {
+      gadash.metadata.checkFilters_(
+          gadash.filter.serialize(query.filters), errors);
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+  return errors;
+};
+
+
+/**
+ * The operators allowed in filters on each column type.
+ * @type {Object.<String, Array.<String>>}
+ * @private
+ */
+gadash.metadata.FILTER_OPERATORS_ = {
+  'METRIC': ['==', '!=', '>', '<', '>=', '<='],
+  'DIMENSION': ['==', '!=', '=~', '!~', '=@', '!@']
+};
+
+
+/**
+ * Splits a comma or space separated list of column names.
+ * @param {String=} names The list of names.
+ * @return {Array.<String>} The names.
+ * @private
+ */
+gadash.metadata.splitNames_ = function(names) {
+  return names ? names.split(/[\s,]+/).filter(Boolean) : [];
+};
+
+
+/**
+ * Checks that a column exists in the catalog and is of the expected type.
+ * If the column does not exist, the message suggests the closest match.
+ * @param {String} name The column name.
+ * @param {String} type The expected type, either METRIC or DIMENSION.
+ * @param {Array.<String>} errors The list to add any problem to.
+ * @private
+ */
+gadash.metadata.checkColumn_ = function(name, type, errors) {
+  var label = type == 'METRIC' ? 'metric' : 'dimension';
+  var column = gadash.metadata.getColumn(name);
+
+  if (!column) {
+    var message = 'Unknown ' + label + ': ' + name + '.';
+    var suggestion = gadash.metadata.getSuggestion_(name, type);
+    if (suggestion) {
+      message += ' Did you mean ' + suggestion + '?';
+    }
+    errors.push(message);
+  } else if (column.type != type) {
+    errors.push(name + ' is not a ' + label + '.');
+  }
+};
+
+
+/**
+ * Checks that no columns that can not be combined are requested together.
+ * See incompatibleColumns.
+ * @param {Array.<String>} names The names of the requested columns.
+ * @param {Array.<String>} errors The list to add any problems to.
+ * @private
+ */
+gadash.metadata.checkCombinations_ = function(names, errors) {
+  var findColumn = function(list) {
+    for (var i = 0; i < names.length; ++i) {
+      if (list.indexOf(names[i]) != -1 ||
+          list.indexOf(names[i].replace(/\d+/, 'XX')) != -1) {
+        return names[i];
+      }
+    }
+  };
+
+  var pairs = gadash.metadata.incompatibleColumns;
+  for (var i = 0; i < pairs.length; ++i) {
+    var first = findColumn(pairs[i][0]);
+    var second = first && findColumn(pairs[i][1]);
+    if (second) {
+      errors.push(first + ' can not be combined with ' + second + '.');
+    }
+  }
+};
+
+
+/**
+ * Checks that filters are well formed. Each filter expression must have
+ * the form name operator value, use an existing column and an operator
+ * that is valid for its type. Metric and dimension filters can not be
+ * combined with OR.
+ * @param {String} filters The filters of the query.
+ * @param {Array.<String>} errors The list to add any problems to.
+ * @private
+ */
+gadash.metadata.checkFilters_ = function(filters, errors) {
+  var groups = gadash.filter.split(filters);
+
+  for (var i = 0; i < groups.length; ++i) {
+    var expressions = groups[i];
+    var types = {};
+
+    for (var j = 0; j < expressions.length; ++j) {
+      var expression = gadash.filter.parseExpression(expressions[j]);
+      if (!expression) {
+        errors.push('Malformed filter: ' + expressions[j] + '.');
+        continue;
+      }
+
+      var name = expression['dim'] || expression['metric'];
+      var op = expression['op'];
+      var value = expression['value'];
+      var column = gadash.metadata.getColumn(name);
+      if (!column) {
+        errors.push('Unknown filter column: ' + name + '.');
+        continue;
+      }
+      types[column.type] = true;
+
+      var operators = gadash.metadata.FILTER_OPERATORS_[column.type];
+      if (operators.indexOf(op) == -1) {
+        errors.push('Invalid operator ' + op + ' in filter: ' +
+            expressions[j] + '.');
+      } else if (column.type == 'METRIC' && isNaN(Number(value))) {
+        errors.push('Metric filter value must be a number: ' +
+            expressions[j] + '.');
+      } else if (op == '=~' || op == '!~') {
+        try {
+          new RegExp(value);
+        } catch (e) {
+          errors.push('Invalid regular expression in filter: ' +
+              expressions[j] + '.');
+        }
+      }
+    }
+
+    if (types['METRIC'] && types['DIMENSION']) {
+      errors.push('Metric and dimension filters can not be combined with ' +
+          'OR: ' + groups[i] + '.');
+    }
+  }
+};
+
+
+/**
+ * Returns the column of a type in the catalog with the name closest to
+ * name, if it is within 2 edits.
+ * @param {String} name The unknown column name.
+ * @param {String} type The column type, either METRIC or DIMENSION.
+ * @return {String|undefined} The closest column name.
+ * @private
+ */
+gadash.metadata.getSuggestion_ = function(name, type) {
+  var suggestion;
+  var bestDistance = 3;
+  for (var key in gadash.metadata.columns) {
+    if (gadash.metadata.columns[key].type == type) {
+      var distance = gadash.metadata.getEditDistance_(
+          name.toLowerCase(), key.toLowerCase());
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        suggestion = key;
+      }
+    }
+  }
+  return suggestion;
+};
+
+
+/**
+ * Returns the Levenshtein distance between two strings.
+ * @param {String} a The first string.
+ * @param {String} b The second string.
+ * @return {Number} The number of edits to change one string into the other.
+ * @private
+ */
+gadash.metadata.getEditDistance_ = function(a, b) {
+  var previous = [];
+  for (var j = 0; j <= b.length; ++j) {
+    previous[j] = j;
+  }
+
+  for (var i = 1; i <= a.length; ++i) {
+    var current = [i];
+    for (var j = 1; j <= b.length; ++j) {
+      var cost = a.charAt(i - 1) == b.charAt(j - 1) ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1,
+          previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
@@ -0,0 +1,78 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * The last file of the Node.js build, out/gadash-2.0-node.js. The build is
+ * a CommonJS module that exports the gadash namespace with the query, date,
+ * filter, segment, metadata and cache logic, and none of the browser only
+ * files. There is no Google APIs client library in Node.js, so a transport
+ * must be set to send the requests, e.g. with the googleapis package:
+ *
+ * var gadash = require('./out/gadash-2.0-node.js');
+ * var analytics = require('googleapis').google.analytics('v3');
+ *
+ * gadash.transport.setTransport(function(request, callback) {
+ *   analytics.data.ga.get(request.params, function(err, res) {
+ *     callback(err ? {'error': {'code': err.code, 'message': err.message}} :
+ *         res.data);
+ *   });
+ * });
+ *
+ * gadash.getCoreQuery({
+ *   'query': {
+ *     'ids': 'ga:1174',
+ *     'metrics': 'ga:visits',
+ *     'dateRange': 'lastWeek'
+ *   }
+ * }).run().then(function(response) {
+ *   console.log(response.totalsForAllResults['ga:visits']);
+ * });
+ *
+ * gadash.transport.fixture can be used instead to test queries against
+ * canned responses.
+ */
+
+
+/**
+ * There are no libraries to load in Node.js, so queries are executed
+ * right away.
+ */
+gadash.isLoaded = true;
+
+
+/**
+ * The transport until one is set. Responds to every request with an error.
+ * @param {Object} request The request to send.
+ * @param {Function} callback The function to execute with the response.
+ */
+gadash.transport.active = function(request, callback) {
+  var message = 'No transport set. Use gadash.transport.setTransport.';
+  setTimeout(function() {
+    callback({
+      'error': {
+        'code': 500,
+        'message': message,
+        'errors': [{'reason': 'noTransport', 'message': message}]
+      }
+    });
+  }, 0);
+};
+
+
+module.exports = gadash;
@@ -87,20 +87,94 @@ gadash.util.pubsub.subscribe(gadash.util.pubsub.libsLoaded,
  */
 gadash.GaQuery = function(opt_config) {
   this.config = {};
+
+  /**
+   * The resolve and reject functions of all the promises returned by run
+   * that are waiting on a response from the API.
+   * @type {Array.<Object>}
+   * @private
+   */
+  this.pendingRuns_ = [];
+
+  /**
+   * The number of times the current execution has been retried.
+   * @type {Number}
+   * @private
+   */
+  this.retryCount_ = 0;
+
+  /**
+   * The ID of the timeout that will retry the current execution.
+   * @type {Number}
+   * @private
+   */
+  this.retryTimeout_ = null;
+
+  /**
+   * Incremented every time this query is executed or aborted. Responses
+   * from any earlier execution are ignored.
+   * @type {Number}
+   * @private
+   */
+  this.executionId_ = 0;
+
+  /**
+   * Whether the current execution is still waiting on a response.
+   * @type {Boolean}
+   * @private
+   */
+  this.isExecuting_ = false;
+
+  /**
+   * The ID of the timeout that will execute this query again, if the
+   * config object has a refreshInterval.
+   * @type {Number}
+   * @private
+   */
+  this.refreshTimeout_ = null;
+
+  /**
+   * The visibilitychange listener waiting for the page to become visible
+   * before refreshing this query.
+   * @type {Function}
+   * @private
+   */
+  this.visibilityListener_ = null;
+
   this.setConfig(opt_config);
   return this;
 };
 
 
+/**
+ * The keys of the query whose values are replaced rather than merged by
+ * setConfig. Merging a filter or segment object into one of a different
+ * shape would leave keys of the old object behind.
+ * @type {Array.<String>}
+ * @private
+ */
+gadash.GaQuery.REPLACED_QUERY_KEYS_ = ['filters', 'segment'];
+
+
 /**
  * Extends the values in the GaQuery's config object with the keys in
  * the config parameters. If a key in config already exists in the GaQuery,
- * and the value is not an object, the new value overwrites the old.
+ * and the value is not an object, the new value overwrites the old. The
+ * filters and segment values of the query are always replaced as a whole.
  * @param {Object} config The config object to set inside this object.
  * @return {Object} The current instance of the Chart object. Useful
  *     for chaining methods.
  */
 gadash.GaQuery.prototype.setConfig = function(config) {
+  var query = config && config.query;
+  if (query && this.config.query) {
+    var keys = gadash.GaQuery.REPLACED_QUERY_KEYS_;
+    for (var i = 0; i < keys.length; ++i) {
+      if (query[keys[i]] !== null && query[keys[i]] !== undefined) {
+        delete this.config.query[keys[i]];
+      }
+    }
+  }
   gadash.util.extend(config, this.config);
   return this;
 };
@@ -111,6 +185,8 @@ gadash.GaQuery.prototype.setConfig = function(config) {
  * GaQuery can be executed right away. Otherwise, other operations are queued,
  * so the execute command is pushed to the command queue to be executed in
  * the same order as originally called.
+ * Executing a query supersedes any previous execution that is still waiting
+ * on a response. Only the response of the latest execution is handled.
  * @param {Object=} opt_config An optional query configuration object.
  * @this Points to the current GaQuery instance.
  * @return {Object} The current instance of this GaQuery object. Useful for
@@ -119,17 +195,134 @@ gadash.GaQuery.prototype.setConfig = function(config) {
 gadash.GaQuery.prototype.execute = function(opt_config) {
   if (opt_config) this.setConfig(opt_config);
 
+  // Any retries or refreshes of a previous execution no longer apply.
+  clearTimeout(this.retryTimeout_);
+  this.retryCount_ = 0;
+  this.stopRefresh();
+
+  var executionId = ++this.executionId_;
+  this.isExecuting_ = true;
+
   // If the client library has loaded.
   if (gadash.isLoaded) {
-    this.executeFunction_();
+    this.validateAndExecute_();
   } else {
-    var executeFunction_ = gadash.util.bindMethod(this, this.executeFunction_);
-    gadash.commandQueue_.push(executeFunction_);
+    gadash.commandQueue_.push(gadash.util.bindMethod(this, function() {
+      // Skip executions that were aborted or superseded while queued.
+      if (executionId == this.executionId_) {
+        this.validateAndExecute_();
+      }
+    }));
+  }
+  return this;
+};
+
+
+/**
+ * Validates the query in the config object against the metrics and
+ * dimensions catalog. See gadash.metadata.validateQuery for the checks.
+ * The catalog only has the columns of the Core Reporting API, so queries
+ * for other APIs, e.g. with an api config value of realtime, mcf or ga4,
+ * are not validated.
+ * @return {Array.<String>} A message for every problem found. Empty if the
+ *     query is valid.
+ */
+gadash.GaQuery.prototype.validate = function() {
+  if (this.config.api && this.config.api != 'core') {
+    return [];
+  }
+  return gadash.metadata.validateQuery(this.config.query || {});
+};
+
+
+/**
+ * If the validate option is set in the config object, first validates the
+ * query. If any problems are found, no request is made. Instead they are
+ * handled as an API error with a code of 400. Otherwise the query is
+ * executed.
+ * @private
+ */
+gadash.GaQuery.prototype.validateAndExecute_ = function() {
+  var errors = this.config.validate ? this.validate() : [];
+  if (!errors.length) {
+    this.executeFunction_();
+    return;
+  }
+
+  var error = {
+    'code': 400,
+    'message': errors.join(' '),
+    'errors': []
+  };
+  for (var i = 0; i < errors.length; ++i) {
+    error.errors.push({
+      'reason': 'invalidParameter',
+      'message': errors[i]
+    });
+  }
+  this.callback({'error': error});
+};
+
+
+/**
+ * Aborts the current execution of this query. Any response to the execution
+ * is ignored and pending retries are cancelled. The onAbort and
+ * onAbortDefault handlers are executed, and any Promises returned by run
+ * are rejected with an error object whose aborted property is true.
+ * Any scheduled refresh is also cancelled. Otherwise does nothing if the
+ * query is not waiting on a response.
+ * @return {Object} The current instance of this GaQuery object. Useful for
+ *     chaining methods.
+ */
+gadash.GaQuery.prototype.abort = function() {
+  this.stopRefresh();
+  if (this.isExecuting_) {
+    clearTimeout(this.retryTimeout_);
+    ++this.executionId_;
+    this.isExecuting_ = false;
+
+    this.executeHandlers_('onAbort', 'onAbortDefault');
+    this.settleRuns_('reject', {
+      'aborted': true,
+      'message': 'The query was aborted.'
+    });
   }
   return this;
 };
 
 
+/**
+ * Executes this GaQuery and returns a Promise for the result. All the
+ * handlers in the config object are executed exactly as they are with
+ * execute. Once they have run, the Promise is resolved with the API
+ * response or rejected with the error object returned by the API.
+ * This makes it simple to sequence multiple queries. Usage:
+ *
+ * gadash.getCoreQuery(config).run().then(function(response) {
+ *   return gadash.getCoreQuery(otherConfig).run();
+ * }).then(function(otherResponse) {
+ *   // Handle second API response.
+ * }, function(error) {
+ *   // Handle an error from either query.
+ * });
+ *
+ * Requires a browser that supports Promises.
+ * @param {Object=} opt_config An optional query configuration object.
+ * @return {Promise} A Promise for the API response.
+ */
+gadash.GaQuery.prototype.run = function(opt_config) {
+  var pendingRuns = this.pendingRuns_;
+  var promise = new Promise(function(resolve, reject) {
+    pendingRuns.push({
+      'resolve': resolve,
+      'reject': reject
+    });
+  });
+  this.execute(opt_config);
+  return promise;
+};
+
+
 /**
  * Makes a request to the Google Analytics API.
  * Updates the default dates.
@@ -144,6 +337,60 @@ gadash.GaQuery.prototype.executeFunction_ = function() {
 };
 
 
+/**
+ * Returns a function that passes the response of the current execution to
+ * callback. Request handlers should pass this function to the API instead
+ * of callback itself. If the query is executed again or aborted before the
+ * response arrives, the response is ignored, so a slow response can never
+ * overwrite the results of a later execution.
+ * @return {Function} The function to execute with the API response.
+ */
+gadash.GaQuery.prototype.getCallback = function() {
+  var executionId = this.executionId_;
+  return gadash.util.bindMethod(this, function(response) {
+    if (executionId == this.executionId_) {
+      this.callback(response);
+    }
+  });
+};
+
+
+/**
+ * The default retry policy. If the config object has a retry object, any
+ * values it does not define are taken from here. Usage:
+ *
+ * gadash.getCoreQuery({
+ *   'query': {...},
+ *   'retry': {
+ *     'maxAttempts': 3
+ *   },
+ *   'onRetry': function(retry) {
+ *     console.log('Retry ' + retry.attempt + ' in ' + retry.delay + 'ms');
+ *   }
+ * });
+ *
+ * - maxAttempts {Number} The total number of times to execute the query,
+ *   including the first attempt.
+ * - baseDelay {Number} The number of milliseconds to wait before the first
+ *   retry. The delay doubles with every following retry.
+ * - maxDelay {Number} The maximum number of milliseconds to wait.
+ * - jitter {Number} The maximum number of milliseconds randomly added to
+ *   each delay, so that many queries failing together don't all retry at
+ *   the same time.
+ * - codes {Array.<Number>} The API error codes to retry.
+ * - reasons {Array.<String>} The API error reasons to retry.
+ * @type {Object}
+ */
+gadash.GaQuery.retryDefaults = {
+  'maxAttempts': 5,
+  'baseDelay': 1000,
+  'maxDelay': 32000,
+  'jitter': 1000,
+  'codes': [500, 502, 503, 504],
+  'reasons': ['userRateLimitExceeded', 'rateLimitExceeded', 'quotaExceeded']
+};
+
+
 /**
  * Callback function that is called after a GA query is executed.
  * First, the function checks to see if there are any errors on the
@@ -155,22 +402,209 @@ gadash.GaQuery.prototype.executeFunction_ = function() {
  * If the API query was successful, if the config object contains a method
  * named onSuccess, it is executed nd passed the response form the API. If
  * the onSuccess function does not return false, the onSuccessDefault
- * function is called.
+ * function is called. Responses with totalsForAllResults are first given a
+ * totals property. See gadash.core.getTotals.
  * Both the onSuccess and onError functions are executed in the context
  * of the GaQuery object.
+ * If the config object has a retry policy and the error can be retried,
+ * none of the handlers are executed. Instead the query is executed again
+ * after a delay. The error is only handled once all the retries have been
+ * used up.
+ * Finally any Promises returned by run are settled with the response, and
+ * the next refresh is scheduled. If one of the handlers throws, the
+ * Promises are rejected with the thrown error instead. Without any
+ * Promises waiting, the error is rethrown.
  * @param {Object} response - Google Analytics API JSON response.
  */
 gadash.GaQuery.prototype.callback = function(response) {
 
-  this.executeHandlers_('onResponse', 'onResponseDefault');
+  if (response.error && this.isRetryable_(response.error)) {
+    this.retry_(response.error);
+    return;
+  }
+  this.retryCount_ = 0;
+  this.isExecuting_ = false;
+
+  try {
+    this.executeHandlers_('onResponse', 'onResponseDefault');
+
+    if (response.error) {
+      // API encountered an error.
+      this.executeHandlers_('onError', 'onErrorDefault', response.error);
+      this.settleRuns_('reject', response.error);
+
+    } else {
+      // Successful response.
+      if (response.totalsForAllResults) {
+        response.totals = gadash.core.getTotals(response);
+      }
+      this.executeHandlers_('onSuccess', 'onSuccessDefault', response);
+      this.settleRuns_('resolve', response);
+    }
+  } catch (e) {
+    // A handler threw. Pass the error to the Promises returned by run, or
+    // rethrow it if there are none, so that it is never lost.
+    if (!this.pendingRuns_.length) {
+      throw e;
+    }
+    this.settleRuns_('reject', e);
+  }
 
-  if (response.error) {
-    // API encountered an error.
-    this.executeHandlers_('onError', 'onErrorDefault', response.error);
+  this.scheduleRefresh_();
+};
 
-  } else {
-    // Successful response.
-    this.executeHandlers_('onSuccess', 'onSuccessDefault', response);
+
+/**
+ * If the config object has a refreshInterval, schedules the query to be
+ * executed again once that number of seconds has passed. Usage:
+ *
+ * gadash.getRealtimeQuery({
+ *   'query': {...},
+ *   'refreshInterval': 60
+ * }).execute();
+ *
+ * If the page is hidden when the interval has passed, the refresh waits
+ * until the page is visible again, so that hidden dashboards don't use up
+ * the API quota.
+ * @private
+ */
+gadash.GaQuery.prototype.scheduleRefresh_ = function() {
+  if (this.config.refreshInterval) {
+    this.refreshTimeout_ = setTimeout(
+        gadash.util.bindMethod(this, this.refresh_),
+        this.config.refreshInterval * 1000);
+  }
+};
+
+
+/**
+ * Executes the query again, or waits until the page is visible if it is
+ * currently hidden. Outside of the browser, e.g. in Node.js, there is no
+ * page and the query is always executed.
+ * @private
+ */
+gadash.GaQuery.prototype.refresh_ = function() {
+  this.refreshTimeout_ = null;
+  if (typeof document == 'undefined' || !document.hidden) {
+    this.execute();
+    return;
+  }
+
+  this.visibilityListener_ = gadash.util.bindMethod(this, function() {
+    if (!document.hidden) {
+      this.execute();
+    }
+  });
+  document.addEventListener('visibilitychange', this.visibilityListener_);
+};
+
+
+/**
+ * Cancels any scheduled refresh of this query. The query is refreshed
+ * again the next time it is executed, if the config object still has a
+ * refreshInterval.
+ * @return {Object} The current instance of this GaQuery object. Useful for
+ *     chaining methods.
+ */
+gadash.GaQuery.prototype.stopRefresh = function() {
+  clearTimeout(this.refreshTimeout_);
+  this.refreshTimeout_ = null;
+  if (this.visibilityListener_) {
+    document.removeEventListener('visibilitychange',
+        this.visibilityListener_);
+    this.visibilityListener_ = null;
+  }
+  return this;
+};
+
+
+/**
+ * Returns the retry policy of this query. This is the retry object of
+ * the config object, with any missing values taken from retryDefaults.
+ * @return {Object|undefined} The retry policy, or undefined if the config
+ *     object has no retry object.
+ * @private
+ */
+gadash.GaQuery.prototype.getRetryPolicy_ = function() {
+  if (gadash.util.getType(this.config.retry) == 'object') {
+    var policy = {};
+    gadash.util.extend(gadash.GaQuery.retryDefaults, policy);
+    gadash.util.extend(this.config.retry, policy);
+    return policy;
+  }
+};
+
+
+/**
+ * Returns whether the current execution should be retried after an error.
+ * This is the case if the retry policy has attempts remaining and either
+ * the code or one of the reasons of the error are in the policy.
+ * @param {Object} error The error object returned by the API.
+ * @return {Boolean} True if the query should be retried.
+ * @private
+ */
+gadash.GaQuery.prototype.isRetryable_ = function(error) {
+  var policy = this.getRetryPolicy_();
+  if (!policy || this.retryCount_ + 1 >= policy.maxAttempts) {
+    return false;
+  }
+
+  for (var i = 0; i < policy.codes.length; ++i) {
+    if (policy.codes[i] == error.code) {
+      return true;
+    }
+  }
+
+  var errors = error.errors || [];
+  for (var i = 0; i < errors.length; ++i) {
+    for (var j = 0; j < policy.reasons.length; ++j) {
+      if (policy.reasons[j] == errors[i].reason) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+
+/**
+ * Executes the query again after an exponentially increasing delay.
+ * Before waiting, the onRetry and onRetryDefault handlers are executed and
+ * passed an object with the attempt number, the delay in milliseconds and
+ * the error object returned by the API.
+ * @param {Object} error The error object returned by the API.
+ * @private
+ */
+gadash.GaQuery.prototype.retry_ = function(error) {
+  var policy = this.getRetryPolicy_();
+
+  var delay = Math.min(policy.maxDelay,
+      policy.baseDelay * Math.pow(2, this.retryCount_));
+  delay += Math.floor(Math.random() * policy.jitter);
+
+  ++this.retryCount_;
+  this.executeHandlers_('onRetry', 'onRetryDefault', {
+    'attempt': this.retryCount_ + 1,
+    'delay': delay,
+    'error': error
+  });
+
+  this.retryTimeout_ = setTimeout(
+      gadash.util.bindMethod(this, this.executeFunction_), delay);
+};
+
+
+/**
+ * Settles all the Promises returned by run that are waiting on a response.
+ * @param {String} method Either resolve or reject.
+ * @param {Object} value The value with which to settle each Promise.
+ * @private
+ */
+gadash.GaQuery.prototype.settleRuns_ = function(method, value) {
+  var pendingRuns = this.pendingRuns_;
+  this.pendingRuns_ = [];
+  for (var i = 0, pendingRun; pendingRun = pendingRuns[i]; ++i) {
+    pendingRun[method](value);
   }
 };
 
@@ -204,34 +638,3 @@ gadash.GaQuery.prototype.executeHandlers_ = function(userFunction,
     gadash.util.bindMethod(this, defaultFunc)(opt_args);
   }
 };
-
-
-/**
- * Common method to display errors. This method is here so that any API
- * queries can use it.
- * Checks to see if there is an element with the ID of errors.
- * If not, a div is created with this ID.
- * The error message is formatted and printed to this div.
- * @param {String} error The error object returned by the API.
- */
-gadash.onErrorDefault = function(error) {
-  var errorDiv = document.getElementById('errors');
-
-  // Create error div if not already made.
-  if (!errorDiv) {
-    errorDiv = document.createElement('div');
-    errorDiv.style.color = 'red';
-    errorDiv.setAttribute('id', 'errors');
-    errorDiv.innerHTML = 'ERRORS:' + '<br />';
-    document.body.appendChild(errorDiv);
-  }
-
-  // TODO(nm): Need better error handling. + html escape.
-  // Prints GaQuery elementId and message to error div.
-  errorDiv.innerHTML += ' error: ' + error.code + ' ' +
-      error.message + '<br />';
-  //errorDiv.innerHTML += this.config.elementId + ' error: ' +
-  //    message + '<br />';
-};
-
-
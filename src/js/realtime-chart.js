@@ -0,0 +1,83 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Provides the chart builder for the Real Time Reporting API. See
+ * realtime.js for the queries. Setting refreshInterval executes the query
+ * again every that many seconds, while the page is visible:
+ *
+ * gadash.getRealtimeChart({
+ *   'elementId': 'active-users',
+ *   'type': 'Table',
+ *   'query': {
+ *     'ids': 'ga:1174',
+ *     'metrics': 'rt:activeUsers'
+ *   },
+ *   'refreshInterval': 30
+ * }).execute();
+ *
+ * Real time charts are drawn exactly like Core Reporting API charts, so they
+ * can be added to a GaComponent along with other charts.
+ */
+
+
+/**
+ * Namespace for the realtime module.
+ */
+gadash.realtime = gadash.realtime || {};
+
+
+/**
+ * Adds a loading message to the div in which the chart is executed, then
+ * queries the Real Time Reporting API. The loading message is only shown
+ * while the div is empty, so it is not shown when the chart refreshes.
+ * Like every chart, the div is still cleared by gadash.gviz.onResponseDefault
+ * and the chart drawn again when each response is returned.
+ * @this {gadash.GaQuery} The GaQuery object.
+ */
+gadash.realtime.onChartRequestDefault = function() {
+  if (!gadash.util.getElement(this.config.elementId).innerHTML) {
+    gadash.gviz.showLoader(this.config.elementId);
+  }
+  gadash.util.bindMethod(this, gadash.realtime.onRequestDefault)();
+};
+
+
+/**
+ * The configuration that turns a chart built on gadash.gviz.coreChartConfig
+ * into a Real Time Reporting API chart.
+ * @type {Object}
+ */
+gadash.realtime.chartConfig = {
+  'api': 'realtime',
+  'onRequestDefault': gadash.realtime.onChartRequestDefault
+};
+
+
+/**
+ * Base Chart for the Real Time Reporting API.
+ * @param {Object=} opt_config An optional configuration object.
+ * @return {gadash.GaQuery} The newly created GaQuery object.
+ */
+gadash.getRealtimeChart = function(opt_config) {
+  return new gadash.GaQuery()
+      .setConfig(gadash.gviz.coreChartConfig)
+      .setConfig(gadash.realtime.chartConfig)
+      .setConfig(opt_config);
+};
@@ -0,0 +1,109 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Provides the query builder for the Real Time Reporting API. Queries use
+ * rt: metrics and dimensions, and have no date range. Setting
+ * refreshInterval executes the query again every that many seconds, while
+ * the page is visible. The chart builder is in realtime-chart.js, which is
+ * only part of the browser build.
+ */
+
+
+/**
+ * Namespace for the realtime module.
+ */
+gadash.realtime = gadash.realtime || {};
+
+
+/**
+ * Real Time Query Builder. This returns a basic object to query the Real
+ * Time Reporting API. Developers must override the onSuccess handler to
+ * manage the results of the API. Usage:
+ *
+ * gadash.getRealtimeQuery({
+ *   'query': {
+ *     'ids': 'ga:1174',
+ *     'metrics': 'rt:activeUsers',
+ *     'dimensions': 'rt:medium'
+ *   },
+ *   'onSuccess': function(response) {
+ *     console.log(response.totalsForAllResults['rt:activeUsers']);
+ *   }
+ * });
+ *
+ * @param {Object=} opt_config An optional query configuration object.
+ * @return {gadash.GaQuery} A GaQuery object configured to query the
+ *     Real Time Reporting API.
+ */
+gadash.getRealtimeQuery = function(opt_config) {
+  return new gadash.GaQuery({
+    'api': 'realtime',
+    'onRequestDefault': gadash.realtime.onRequestDefault,
+    'onErrorDefault': gadash.onErrorDefault
+  }).setConfig(opt_config);
+};
+
+
+/**
+ * Requests data from the Real Time Reporting API using the query in the
+ * config object. If the filters value of the query is malformed, no request
+ * is made. Instead the problem is handled as an API error with a code of
+ * 400.
+ * @this {gadash.GaQuery} The GaQuery object.
+ */
+gadash.realtime.onRequestDefault = function() {
+  try {
+    this.config.actualQuery =
+        gadash.realtime.getRealtimeQueryObj(this.config);
+  } catch (e) {
+    this.callback(gadash.core.getInvalidQueryResponse(e.message));
+    return;
+  }
+  gadash.core.executeRequest(this.config.actualQuery, this.getCallback(),
+      this.config);
+};
+
+
+/**
+ * The parameters built by gadash.core.getCoreQueryObj that the Real Time
+ * Reporting API does not support.
+ * @type {Array.<String>}
+ * @private
+ */
+gadash.realtime.UNSUPPORTED_PARAMS_ = ['segment', 'start-index',
+  'samplingLevel', 'start-date', 'end-date'];
+
+
+/**
+ * Returns the actual query values issued to the Real Time Reporting API.
+ * The query is built by gadash.core.getCoreQueryObj, so the filters and
+ * camel cased values are handled the same way, and the parameters the API
+ * does not support, like the dates, are removed.
+ * @param {Object} config The GaQuery config object.
+ * @return {Object} The query parameters to send to the API.
+ */
+gadash.realtime.getRealtimeQueryObj = function(config) {
+  var actualQuery = gadash.core.getCoreQueryObj(config);
+  var unsupported = gadash.realtime.UNSUPPORTED_PARAMS_;
+  for (var i = 0; i < unsupported.length; ++i) {
+    delete actualQuery[unsupported[i]];
+  }
+  return actualQuery;
+};
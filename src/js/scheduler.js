@@ -0,0 +1,269 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Provides a single queue through which all API requests are dispatched.
+ * The Core Reporting API limits the number of concurrent requests and the
+ * number of requests per second for each user. Dashboards with many charts
+ * can easily exceed these limits if all their queries execute at once. The
+ * scheduler only dispatches as many requests as the limits allow, and
+ * dispatches requests for visible charts first.
+ * The limits can be changed through gadash.init:
+ *
+ * gadash.init({
+ *   ...
+ *   'scheduler': {
+ *     'maxConcurrent': 5,
+ *     'requestsPerSecond': 5
+ *   }
+ * });
+ *
+ * Every time the queue changes, the gadash.util.pubsub.queueChanged message
+ * is published with the number of queued and active requests:
+ *
+ * gadash.util.pubsub.subscribe(gadash.util.pubsub.queueChanged,
+ *     function(status) {
+ *       console.log(status.queued + ' waiting, ' + status.active + ' active');
+ *     });
+ */
+
+
+/**
+ * Namespace for the scheduler module.
+ */
+gadash.scheduler = gadash.scheduler || {};
+
+
+/**
+ * The scheduler limits.
+ * - maxConcurrent {Number} The maximum number of requests waiting on a
+ *   response at any time.
+ * - requestsPerSecond {Number} The maximum number of requests dispatched in
+ *   any one second.
+ * @type {Object}
+ */
+gadash.scheduler.config = {
+  'maxConcurrent': 10,
+  'requestsPerSecond': 10
+};
+
+
+/**
+ * The requests waiting to be dispatched, ordered by priority.
+ * @type {Array.<Object>}
+ * @private
+ */
+gadash.scheduler.queue_ = [];
+
+
+/**
+ * The number of requests that have been dispatched and are waiting on
+ * a response.
+ * @type {Number}
+ * @private
+ */
+gadash.scheduler.active_ = 0;
+
+
+/**
+ * The times, in milliseconds, at which requests were dispatched within the
+ * last second.
+ * @type {Array.<Number>}
+ * @private
+ */
+gadash.scheduler.dispatchTimes_ = [];
+
+
+/**
+ * The ID of the timeout that will next process the queue once the
+ * requests per second limit allows it.
+ * @type {Number}
+ * @private
+ */
+gadash.scheduler.timeout_ = null;
+
+
+/**
+ * The number of requests that have been scheduled. Used to keep requests
+ * with the same priority in the order they were scheduled.
+ * @type {Number}
+ * @private
+ */
+gadash.scheduler.count_ = 0;
+
+
+/**
+ * Updates the scheduler limits.
+ * @param {Object} config The limits to update.
+ */
+gadash.scheduler.setConfig = function(config) {
+  gadash.util.extend(config, gadash.scheduler.config);
+  gadash.scheduler.process_();
+};
+
+
+/**
+ * Adds a request to the queue. The request is a function that is passed a
+ * done function when it is dispatched. The request must call done with the
+ * response once it has been received from the API, so that the next
+ * request can be dispatched. done then executes opt_callback with the
+ * response. If the request throws an error before calling done, done is
+ * called with an error response with a code of 400 instead. Requests with
+ * a higher priority are dispatched first.
+ * @param {Function} request The function that issues the request.
+ * @param {Number=} opt_priority The priority of the request. Defaults to 0.
+ * @param {Function=} opt_callback Optional function to execute with the
+ *     response.
+ */
+gadash.scheduler.schedule = function(request, opt_priority, opt_callback) {
+  var item = {
+    'request': request,
+    'callback': opt_callback,
+    'priority': opt_priority || 0,
+    'order': gadash.scheduler.count_++
+  };
+
+  // Insert after all items with the same or a higher priority.
+  var queue = gadash.scheduler.queue_;
+  var i = queue.length;
+  while (i > 0 && queue[i - 1].priority < item.priority) {
+    --i;
+  }
+  queue.splice(i, 0, item);
+
+  gadash.scheduler.publish_();
+  gadash.scheduler.process_();
+};
+
+
+/**
+ * Returns the priority of the request for a GaQuery. This is the priority
+ * value of the config object if set. Otherwise queries whose element is
+ * visible on the page have a priority of 1, and all others a priority of 0.
+ * @param {Object} config The GaQuery config object.
+ * @return {Number} The priority of the request.
+ */
+gadash.scheduler.getPriority = function(config) {
+  if (gadash.util.getType(config.priority) == 'number') {
+    return config.priority;
+  }
+  // Elements are only measured in the browser build.
+  if (config.elementId && gadash.util.isVisible &&
+      gadash.util.isVisible(gadash.util.getElement(config.elementId))) {
+    return 1;
+  }
+  return 0;
+};
+
+
+/**
+ * Returns the number of queued and active requests.
+ * @return {Object} The queued and active request counts.
+ */
+gadash.scheduler.getStatus = function() {
+  return {
+    'queued': gadash.scheduler.queue_.length,
+    'active': gadash.scheduler.active_
+  };
+};
+
+
+/**
+ * Dispatches as many queued requests as the limits allow. If the requests
+ * per second limit has been reached, the queue is processed again once
+ * the oldest dispatch is more than a second old.
+ * @private
+ */
+gadash.scheduler.process_ = function() {
+  var config = gadash.scheduler.config;
+  var dispatchTimes = gadash.scheduler.dispatchTimes_;
+
+  while (gadash.scheduler.queue_.length &&
+      gadash.scheduler.active_ < config.maxConcurrent) {
+
+    var now = new Date().getTime();
+    while (dispatchTimes.length && now - dispatchTimes[0] >= 1000) {
+      dispatchTimes.shift();
+    }
+
+    if (dispatchTimes.length >= config.requestsPerSecond) {
+      if (!gadash.scheduler.timeout_) {
+        gadash.scheduler.timeout_ = setTimeout(function() {
+          gadash.scheduler.timeout_ = null;
+          gadash.scheduler.process_();
+        }, 1000 - (now - dispatchTimes[0]));
+      }
+      return;
+    }
+
+    dispatchTimes.push(now);
+    gadash.scheduler.dispatch_(gadash.scheduler.queue_.shift());
+  }
+};
+
+
+/**
+ * Dispatches a single request.
+ * @param {Object} item The queue item holding the request.
+ * @private
+ */
+gadash.scheduler.dispatch_ = function(item) {
+  var isDone = false;
+  var done = function(response) {
+    if (!isDone) {
+      isDone = true;
+      --gadash.scheduler.active_;
+      gadash.scheduler.publish_();
+      gadash.scheduler.process_();
+      if (item.callback) {
+        item.callback(response);
+      }
+    }
+  };
+
+  ++gadash.scheduler.active_;
+  gadash.scheduler.publish_();
+  try {
+    item.request(done);
+  } catch (e) {
+    // Errors thrown after done, e.g. by a handler of the response, are not
+    // errors of the request.
+    if (isDone) {
+      throw e;
+    }
+    var message = 'The request could not be sent: ' + e.message;
+    done({
+      'error': {
+        'code': 400,
+        'message': message,
+        'errors': [{'reason': 'badRequest', 'message': message}]
+      }
+    });
+  }
+};
+
+
+/**
+ * Publishes the queueChanged message with the current status.
+ * @private
+ */
+gadash.scheduler.publish_ = function() {
+  gadash.util.pubsub.publish(gadash.util.pubsub.queueChanged,
+      gadash.scheduler.getStatus());
+};
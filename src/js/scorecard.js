@@ -0,0 +1,257 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Provides scorecards: KPI tiles that display the total of each metric of a
+ * query as a single large number, formatted by the data type of the metric.
+ * If the query has a compare value, each tile shows the change from the
+ * comparison date range with an up or down arrow. Setting sparkline adds a
+ * small line chart of the metric by day below the number:
+ *
+ * gadash.getCoreScorecard({
+ *   'elementId': 'kpis',
+ *   'query': {
+ *     'ids': 'ga:1174',
+ *     'metrics': 'ga:visits,ga:bounceRate,ga:avgSessionDuration',
+ *     'lastNdays': 28,
+ *     'compare': 'previousPeriod'
+ *   },
+ *   'sparkline': true
+ * }).execute();
+ *
+ * Each tile has the class ga-scorecard, and its parts the classes
+ * ga-scorecard-label, ga-scorecard-value, ga-scorecard-delta and
+ * ga-scorecard-sparkline, so they can be styled by the page.
+ */
+
+
+/**
+ * Namespace for the scorecard module.
+ */
+gadash.scorecard = gadash.scorecard || {};
+
+
+/**
+ * Adds a loading message and queries the Core Reporting API. Scorecards
+ * display the totals of the metrics, so the query has no dimensions, or
+ * ga:date if a sparkline is drawn. The dimensions are set on a copy of the
+ * query, so the query of the config object is never modified.
+ * @this {gadash.GaQuery} The GaQuery object.
+ */
+gadash.scorecard.onRequestDefault = function() {
+  var query = this.config.query;
+  var scorecardQuery = {};
+  gadash.util.extend(query, scorecardQuery);
+  scorecardQuery.dimensions = this.config.sparkline ? 'ga:date' : '';
+
+  this.config.query = scorecardQuery;
+  try {
+    gadash.util.bindMethod(this, gadash.gviz.onRequestDefault)();
+  } finally {
+    this.config.query = query;
+  }
+};
+
+
+/**
+ * Draws a tile for each metric of the response into the element of the
+ * scorecard.
+ * @param {Object} response A Google Analytics API JSON response.
+ * @this {gadash.GaQuery} The GaQuery object.
+ */
+gadash.scorecard.onSuccessDefault = function(response) {
+  var element = gadash.util.getElement(this.config.elementId);
+  var totals = response.totals || gadash.core.getTotals(response);
+  var headers = response.columnHeaders;
+
+  for (var i = 0, header; header = headers[i]; ++i) {
+    var total = totals[header.name];
+    if (!total || header.comparison) {
+      continue;
+    }
+
+    var tile = gadash.scorecard.getTile_(total,
+        response.comparison && response.comparison.label);
+    element.appendChild(tile);
+
+    if (this.config.sparkline) {
+      var sparkline = document.createElement('div');
+      sparkline.className = 'ga-scorecard-sparkline';
+      tile.appendChild(sparkline);
+      gadash.scorecard.drawSparkline_(sparkline, response, i,
+          this.config.sparklineOptions);
+    }
+  }
+
+  gadash.gviz.showSampling(element, response);
+};
+
+
+/**
+ * Returns the element of the tile for a metric.
+ * @param {Object} total The totals of the metric returned by
+ *     gadash.core.getTotals.
+ * @param {String=} opt_comparisonLabel The text describing the comparison
+ *     date range, if the query has a compare value.
+ * @return {Object} The tile element.
+ * @private
+ */
+gadash.scorecard.getTile_ = function(total, opt_comparisonLabel) {
+  var html = [
+    '<div class="ga-scorecard-label" style="color:#666;font-size:13px">',
+    gadash.util.htmlEscape(total.label),
+    '</div>',
+    '<div class="ga-scorecard-value" style="font-size:32px">',
+    gadash.util.formatValue(total.total, total.dataType),
+    '</div>'
+  ];
+
+  if (gadash.util.getType(total.comparisonTotal) == 'number') {
+    var change = gadash.scorecard.getChange_(total.total,
+        total.comparisonTotal);
+    var color = '#666';
+    var text = 'n/a';
+    if (change > 0) {
+      color = '#109618';
+      text = '&#9650; ' + change + '%';
+    } else if (change < 0) {
+      color = '#d14836';
+      text = '&#9660; ' + -change + '%';
+    } else if (change === 0) {
+      text = '0%';
+    }
+    html.push(
+        '<div class="ga-scorecard-delta" style="font-size:13px;color:',
+        color, '">', text, ' vs ',
+        gadash.util.htmlEscape(opt_comparisonLabel), '</div>');
+  }
+
+  var tile = document.createElement('div');
+  tile.className = 'ga-scorecard';
+  tile.style.display = 'inline-block';
+  tile.style.verticalAlign = 'top';
+  tile.style.margin = '0 24px 12px 0';
+  tile.innerHTML = html.join('');
+  return tile;
+};
+
+
+/**
+ * Returns the percentage change from a comparison value to a value,
+ * rounded to one decimal place.
+ * @param {Number} value The value.
+ * @param {Number} comparisonValue The value being compared against.
+ * @return {?Number} The percentage change, or null if the comparison
+ *     value is 0.
+ * @private
+ */
+gadash.scorecard.getChange_ = function(value, comparisonValue) {
+  if (!comparisonValue) {
+    return null;
+  }
+  return Math.round((value - comparisonValue) / comparisonValue * 1000) / 10;
+};
+
+
+/**
+ * Draws a line chart of the values of a metric by day.
+ * @param {Object} element The element to draw the chart in.
+ * @param {Object} response The response of a query with the ga:date
+ *     dimension.
+ * @param {Number} columnIndex The index of the metric column.
+ * @param {Object} chartOptions The options of the chart.
+ * @private
+ */
+gadash.scorecard.drawSparkline_ = function(element, response, columnIndex,
+    chartOptions) {
+  var data = new google.visualization.DataTable();
+  data.addColumn('date', 'Date');
+  data.addColumn('number',
+      gadash.util.formatGAString(response.columnHeaders[columnIndex].name));
+
+  var rows = response.rows || [];
+  for (var i = 0, row; row = rows[i]; ++i) {
+    data.addRow([gadash.util.stringToDate(row[0]),
+        Number(row[columnIndex])]);
+  }
+
+  gadash.gviz.getChart(element, 'LineChart').draw(data, chartOptions);
+};
+
+
+/**
+ * The configuration that turns a chart built on gadash.gviz.coreChartConfig
+ * into a scorecard. sparklineOptions are the options of the sparkline
+ * charts.
+ * @type {Object}
+ */
+gadash.scorecard.chartConfig = {
+  'type': 'Scorecard',
+  'onRequestDefault': gadash.scorecard.onRequestDefault,
+  'onSuccessDefault': gadash.scorecard.onSuccessDefault,
+  'sparklineOptions': {
+    width: 160,
+    height: 40,
+    legend: 'none',
+    enableInteractivity: false,
+    colors: ['#058dc7'],
+    chartArea: {left: 0, top: 2, width: '100%', height: '90%'},
+    hAxis: {textPosition: 'none', gridlines: {color: 'transparent'},
+      baselineColor: 'transparent'},
+    vAxis: {textPosition: 'none', gridlines: {color: 'transparent'},
+      baselineColor: 'transparent'}
+  }
+};
+
+
+/**
+ * Scorecard Wrapper. Creates a GaQuery object that displays a KPI tile for
+ * each metric of the query.
+ * An optional configuration object is passed as a paramter and can override
+ * or supplement properties of the configuration object.
+ * @param {...Object} var_args The following arguments can be passed in order:
+ *     elementId, metrics, ids, config. The config object can be passed as
+ *     any of the parameters where any parameters that follow are ignored.
+ * @return {gadash.GaQuery} a reference to the newly instantiated
+ *     instance. Useful for chaining methods together.
+ */
+gadash.getCoreScorecard = function(var_args) {
+  // Supported arguments order: div, metrics, ids, config
+  var baseConfig = {
+    'elementId': '',
+    'query': {
+      'ids': '',
+      'metrics': ''
+    }
+  };
+
+  var argSetters = [
+    function(obj, arg) {obj.elementId = arg},
+    function(obj, arg) {obj.query.metrics = arg},
+    function(obj, arg) {obj.query.ids = arg}
+  ];
+
+  var argsObj = gadash.gviz.getConfigFromArgs(baseConfig, argSetters,
+      arguments);
+
+  return new gadash.GaQuery(gadash.gviz.coreChartConfig)
+  .setConfig(argsObj.baseConfig)
+  .setConfig(gadash.scorecard.chartConfig)
+  .setConfig(argsObj.userConfig);
+};
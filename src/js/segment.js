@@ -0,0 +1,225 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Builds dynamic segments from structured objects. The segment key of the
+ * query config accepts either a segment string or a segment object.
+ * A segment object has a scope of users or sessions, and either a condition
+ * or a sequence. Conditions and sequence steps are gadash.filter objects:
+ *
+ * var f = gadash.filter;
+ * gadash.getCoreTable({
+ *   'query': {
+ *     'segment': {
+ *       'scope': 'users',
+ *       'condition': f.and(f.dim('ga:country', '==', 'Canada'),
+ *                          f.metric('ga:visits', '>', 2))
+ *     },
+ *     ...
+ *   }
+ * });
+ * // users::condition::ga:country==Canada;ga:visits>2
+ *
+ * A sequence is a list of steps. Each step is either a filter, or an object
+ * with a filter key and an immediately key to require the step to directly
+ * follow the previous one. Setting firstHit requires the first step to
+ * match the first hit of the session:
+ *
+ * {
+ *   'scope': 'sessions',
+ *   'sequence': [
+ *     f.dim('ga:pagePath', '==', '/cart'),
+ *     {'filter': f.dim('ga:pagePath', '==', '/checkout'), 'immediately': true}
+ *   ],
+ *   'firstHit': true
+ * }
+ * // sessions::sequence::^ga:pagePath==/cart;->ga:pagePath==/checkout
+ *
+ * Setting exclude on a segment object matches everything the segment does
+ * not. An array of segment objects matches only what all of them match.
+ * A saved segment can be used by its ID, e.g. {'id': '-3'}, but can not be
+ * excluded. Updating a query with setConfig replaces its segment as a whole.
+ *
+ * If the segment object of a query is not valid, e.g. it has an unknown
+ * scope, neither a condition nor a sequence, or excludes a saved segment,
+ * no request is made. The problem is handled by onError as an API error
+ * with a code of 400.
+ *
+ * The saved segments available to the user are listed through the
+ * Management API:
+ *
+ * gadash.segment.list(function(segments) {
+ *   for (var i = 0, segment; segment = segments[i]; ++i) {
+ *     // segment.segmentId can be used as the segment query value.
+ *     console.log(segment.name + ': ' + segment.segmentId);
+ *   }
+ * });
+ */
+
+
+/**
+ * Namespace for the segment module.
+ */
+gadash.segment = gadash.segment || {};
+
+
+/**
+ * The scopes a segment can apply to.
+ * @type {Array.<String>}
+ */
+gadash.segment.SCOPES = ['users', 'sessions'];
+
+
+/**
+ * Returns a segment object that matches a condition.
+ * @param {String} scope Either users or sessions.
+ * @param {Object|Array|String} filter The condition as a gadash.filter
+ *     object or string.
+ * @return {Object} The segment object.
+ */
+gadash.segment.condition = function(scope, filter) {
+  return {'scope': scope, 'condition': filter};
+};
+
+
+/**
+ * Returns a segment object that matches a sequence of steps.
+ * @param {String} scope Either users or sessions.
+ * @param {Array.<Object>} steps The steps of the sequence. Each is either a
+ *     filter, or a step returned by gadash.segment.step.
+ * @param {Boolean=} opt_firstHit Whether the first step must match the first
+ *     hit of the session.
+ * @return {Object} The segment object.
+ */
+gadash.segment.sequence = function(scope, steps, opt_firstHit) {
+  return {'scope': scope, 'sequence': steps, 'firstHit': !!opt_firstHit};
+};
+
+
+/**
+ * Returns a step of a sequence.
+ * @param {Object|Array|String} filter The filter the step must match.
+ * @param {Boolean=} opt_immediately Whether the step must immediately
+ *     follow the previous step. Defaults to the step following at any point.
+ * @return {Object} The sequence step.
+ */
+gadash.segment.step = function(filter, opt_immediately) {
+  return {'filter': filter, 'immediately': !!opt_immediately};
+};
+
+
+/**
+ * Returns a copy of a segment object that matches everything the segment
+ * does not.
+ * @param {Object} segment The segment object.
+ * @return {Object} The excluding segment object.
+ */
+gadash.segment.exclude = function(segment) {
+  var copy = {};
+  gadash.util.extend(segment, copy);
+  copy['exclude'] = true;
+  return copy;
+};
+
+
+/**
+ * Serializes a segment object into the segment syntax of the API. Strings
+ * are returned as is. Throws an error if the segment object is not valid,
+ * or excludes a saved segment.
+ * @param {Object|Array|String} segment The segment to serialize.
+ * @return {String} The segment string.
+ */
+gadash.segment.serialize = function(segment) {
+  var type = gadash.util.getType(segment);
+  if (type == 'string') {
+    return segment;
+  }
+
+  if (type == 'array') {
+    var parts = [];
+    for (var i = 0; i < segment.length; ++i) {
+      parts.push(gadash.segment.serialize(segment[i]));
+    }
+    return parts.join(';');
+  }
+
+  if (segment['id']) {
+    if (segment['exclude']) {
+      throw new Error('Saved segments can not be excluded: ' +
+          segment['id'] + '.');
+    }
+    return 'gaid::' + segment['id'];
+  }
+
+  if (gadash.segment.SCOPES.indexOf(segment['scope']) == -1) {
+    throw new Error('Unknown segment scope: ' + segment['scope'] + '.');
+  }
+
+  var str = segment['scope'] + '::';
+  if (segment['condition']) {
+    str += 'condition::' + (segment['exclude'] ? '!' : '') +
+        gadash.filter.serialize(segment['condition']);
+  } else if (segment['sequence'] && segment['sequence'].length) {
+    str += 'sequence::' + (segment['exclude'] ? '!' : '') +
+        gadash.segment.serializeSequence_(segment['sequence'],
+            segment['firstHit']);
+  } else {
+    throw new Error('Segment has no condition or sequence.');
+  }
+  return str;
+};
+
+
+/**
+ * Serializes the steps of a sequence.
+ * @param {Array.<Object>} steps The steps of the sequence.
+ * @param {Boolean} firstHit Whether the first step must match the first hit
+ *     of the session.
+ * @return {String} The sequence string.
+ * @private
+ */
+gadash.segment.serializeSequence_ = function(steps, firstHit) {
+  var str = firstHit ? '^' : '';
+  for (var i = 0; i < steps.length; ++i) {
+    var step = steps[i];
+    var filter = step['filter'] || step;
+    if (i > 0) {
+      str += step['immediately'] ? ';->' : ';->>';
+    }
+    str += gadash.filter.serialize(filter);
+  }
+  return str;
+};
+
+
+/**
+ * Lists the saved segments available to the user. Requires the library to
+ * have loaded.
+ * @param {Function} callback The function to execute with the list of
+ *     segments returned by the Management API. Each has an id, name,
+ *     definition and segmentId. Passed an empty list and the error object
+ *     returned by the API if the request failed.
+ */
+gadash.segment.list = function(callback) {
+  gadash.transport.send({
+    'method': 'analytics.management.segments.list'
+  }, function(response) {
+    callback(response.items || [], response.error);
+  });
+};
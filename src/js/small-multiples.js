@@ -0,0 +1,355 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Provides small multiples: a grid of compact charts with one trend line
+ * for each value of a dimension. The values with the highest totals of the
+ * first metric are drawn, up to the limit config value. They are queried
+ * first, then the metric by ga:date for only those values, so the charts
+ * are complete however many values the dimension has. All the charts share
+ * the same scales, so they can be compared at a glance:
+ *
+ * gadash.getCoreSmallMultiples({
+ *   'elementId': 'top-pages',
+ *   'query': {
+ *     'ids': 'ga:1174',
+ *     'metrics': 'ga:pageviews',
+ *     'dimensions': 'ga:pagePath',
+ *     'lastNdays': 28
+ *   },
+ *   'limit': 10
+ * }).execute();
+ *
+ * Each chart is in an element with the class ga-small-multiple, along with
+ * the dimension value and its total in an element with the class
+ * ga-small-multiple-label.
+ * Queries for a list of profiles and the compare and unsample query
+ * values are not supported.
+ */
+
+
+/**
+ * Namespace for the smallMultiples module.
+ */
+gadash.smallMultiples = gadash.smallMultiples || {};
+
+
+/**
+ * The number of values of the dimension that are drawn, unless the limit
+ * config value is set.
+ * @type {Number}
+ */
+gadash.smallMultiples.DEFAULT_LIMIT = 10;
+
+
+/**
+ * Queries the values of the dimension with the highest totals of the first
+ * metric, then the values of the metrics by ga:date for only those values
+ * of the dimension. All pages of the second query are requested, so the
+ * charts and their scales are drawn from every row. The query must have
+ * exactly one dimension, not counting ga:date. Otherwise no request is
+ * made, and the problem is handled as an API error with a code of 400.
+ * Adds a loading message while the queries are executed.
+ * @this {gadash.GaQuery} The GaQuery object.
+ */
+gadash.smallMultiples.onRequestDefault = function() {
+  var dimensions = gadash.smallMultiples.getDimensions_(
+      this.config.query.dimensions);
+  if (dimensions.length != 1) {
+    this.callback(gadash.core.getInvalidQueryResponse(
+        'Small multiples need exactly one dimension other than ga:date, ' +
+        'not ' + (dimensions.join(',') || 'none') + '.'));
+    return;
+  }
+
+  var topQuery;
+  try {
+    topQuery = gadash.core.getCoreQueryObj(this.config);
+  } catch (e) {
+    this.callback(gadash.core.getInvalidQueryResponse(e.message));
+    return;
+  }
+  topQuery.dimensions = dimensions[0];
+  topQuery.sort = '-' + topQuery.metrics.split(',')[0];
+  topQuery['max-results'] =
+      this.config.limit || gadash.smallMultiples.DEFAULT_LIMIT;
+
+  gadash.gviz.showLoader(this.config.elementId);
+
+  var config = this.config;
+  var callback = this.getCallback();
+  gadash.core.executeRequest(topQuery, function(response) {
+    if (response.error || !response.rows || !response.rows.length) {
+      callback(response);
+      return;
+    }
+    config.actualQuery = gadash.smallMultiples.getTrendQuery_(topQuery,
+        response.rows);
+    gadash.core.fetchAll(config.actualQuery, callback, config);
+  }, config);
+};
+
+
+/**
+ * Returns the dimensions of a query other than ga:date.
+ * @param {String=} dimensions The dimensions value of the query.
+ * @return {Array.<String>} The names of the dimensions.
+ * @private
+ */
+gadash.smallMultiples.getDimensions_ = function(dimensions) {
+  var names = (dimensions || '').split(/[ ,]+/);
+  var result = [];
+  for (var i = 0; i < names.length; ++i) {
+    if (names[i] && names[i] != 'ga:date') {
+      result.push(names[i]);
+    }
+  }
+  return result;
+};
+
+
+/**
+ * Returns the query for the values of the metrics by ga:date for the top
+ * values of the dimension.
+ * @param {Object} topQuery The query for the top values of the dimension.
+ * @param {Array.<Array>} rows The rows of the response to topQuery. The
+ *     first column of each is a value of the dimension.
+ * @return {Object} The query parameters to send to the API.
+ * @private
+ */
+gadash.smallMultiples.getTrendQuery_ = function(topQuery, rows) {
+  var trendQuery = {};
+  gadash.util.extend(topQuery, trendQuery);
+  trendQuery.dimensions = 'ga:date,' + topQuery.dimensions;
+  trendQuery.sort = 'ga:date';
+  trendQuery['max-results'] = gadash.core.MAX_PAGE_SIZE;
+
+  var values = [];
+  for (var i = 0; i < rows.length; ++i) {
+    values.push(gadash.filter.dim(topQuery.dimensions, '==', rows[i][0]));
+  }
+  var valuesFilter = gadash.filter.serialize(
+      gadash.filter.or.apply(null, values));
+  trendQuery.filters = topQuery.filters ?
+      topQuery.filters + ';' + valuesFilter : valuesFilter;
+  return trendQuery;
+};
+
+
+/**
+ * Draws a chart for each of the values of the dimension with the highest
+ * totals into the element of the query. The charts use the chart type and
+ * chartOptions of the config object, with the vertical axis of every chart
+ * set to the range of all the values.
+ * @param {Object} response A Google Analytics API JSON response.
+ * @this {gadash.GaQuery} The GaQuery object.
+ */
+gadash.smallMultiples.onSuccessDefault = function(response) {
+  var element = gadash.util.getElement(this.config.elementId);
+  var pivot = gadash.smallMultiples.pivot(response,
+      this.config.limit || gadash.smallMultiples.DEFAULT_LIMIT);
+
+  var options = {};
+  gadash.util.extend(this.config.chartOptions, options);
+  options.vAxis = options.vAxis || {};
+  options.vAxis.viewWindow = {
+    'min': Math.min(0, pivot.min),
+    'max': pivot.max || 1
+  };
+
+  for (var i = 0, series; series = pivot.series[i]; ++i) {
+    var cell = document.createElement('div');
+    cell.className = 'ga-small-multiple';
+    cell.style.display = 'inline-block';
+    cell.style.verticalAlign = 'top';
+    cell.style.margin = '0 16px 16px 0';
+    cell.innerHTML = [
+      '<div class="ga-small-multiple-label" style="font-size:12px;',
+      'overflow:hidden;text-overflow:ellipsis;white-space:nowrap;',
+      'width:', options.width, 'px">',
+      gadash.util.htmlEscape(series.value), ' ',
+      '<b>', gadash.util.formatValue(series.total, pivot.dataType),
+      '</b></div>'
+    ].join('');
+
+    var chartElement = document.createElement('div');
+    cell.appendChild(chartElement);
+    element.appendChild(cell);
+
+    var data = new google.visualization.DataTable();
+    data.addColumn('date', 'Date');
+    data.addColumn('number', pivot.label);
+    for (var j = 0; j < pivot.dates.length; ++j) {
+      data.addRow([gadash.util.stringToDate(pivot.dates[j]),
+          series.values[j]]);
+    }
+
+    gadash.gviz.getChart(chartElement, this.config.type).draw(data, options);
+  }
+
+  gadash.gviz.showSampling(element, response);
+};
+
+
+/**
+ * Pivots the rows of a response with the ga:date dimension and one other
+ * dimension into a series of values by date for each value of the other
+ * dimension. Dates missing from a series have a value of 0. The values of
+ * the first metric are used.
+ * @param {Object} response The response of a query with ga:date as its
+ *     first dimension.
+ * @param {Number=} opt_limit The maximum number of series to return. Those
+ *     with the highest totals are kept.
+ * @return {Object} The pivoted results:
+ *     - dates {Array.<String>} The dates of the series, in order, in the
+ *       format yyyyMMdd.
+ *     - series {Array.<Object>} Each has the value of the dimension, its
+ *       values for each date, and their total, ordered by total.
+ *     - label {String} The formatted name of the metric.
+ *     - dataType {String} The data type of the metric.
+ *     - min {Number} The smallest value of all the series.
+ *     - max {Number} The largest value of all the series.
+ */
+gadash.smallMultiples.pivot = function(response, opt_limit) {
+  var headers = response.columnHeaders;
+  var rows = response.rows || [];
+
+  var metricIndex = 0;
+  while (headers[metricIndex] &&
+      headers[metricIndex].columnType != 'METRIC') {
+    ++metricIndex;
+  }
+
+  var dates = [];
+  var valuesByDate = {};
+  var seriesByValue = {};
+  var series = [];
+
+  for (var i = 0, row; row = rows[i]; ++i) {
+    if (!valuesByDate[row[0]]) {
+      valuesByDate[row[0]] = true;
+      dates.push(row[0]);
+    }
+    if (!seriesByValue[row[1]]) {
+      seriesByValue[row[1]] = {'value': row[1], 'total': 0, 'byDate': {}};
+      series.push(seriesByValue[row[1]]);
+    }
+    var value = Number(row[metricIndex]) || 0;
+    seriesByValue[row[1]].byDate[row[0]] = value;
+    seriesByValue[row[1]].total += value;
+  }
+
+  dates.sort();
+  series.sort(function(a, b) {
+    return b.total - a.total;
+  });
+  if (opt_limit) {
+    series = series.slice(0, opt_limit);
+  }
+
+  var min = 0;
+  var max = 0;
+  for (var i = 0; i < series.length; ++i) {
+    series[i].values = [];
+    for (var j = 0; j < dates.length; ++j) {
+      var value = series[i].byDate[dates[j]] || 0;
+      series[i].values.push(value);
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+    delete series[i].byDate;
+  }
+
+  var metric = headers[metricIndex] || {};
+  return {
+    'dates': dates,
+    'series': series,
+    'label': gadash.util.formatGAString(metric.name || ''),
+    'dataType': metric.dataType,
+    'min': min,
+    'max': max
+  };
+};
+
+
+/**
+ * The configuration that turns a chart built on gadash.gviz.coreChartConfig
+ * into small multiples.
+ * @type {Object}
+ */
+gadash.smallMultiples.chartConfig = {
+  'type': 'LineChart',
+  'onRequestDefault': gadash.smallMultiples.onRequestDefault,
+  'onSuccessDefault': gadash.smallMultiples.onSuccessDefault,
+  'chartOptions': {
+    width: 180,
+    height: 60,
+    legend: 'none',
+    lineWidth: 2,
+    colors: ['#058dc7'],
+    chartArea: {left: 0, top: 2, width: '100%', height: '90%'},
+    hAxis: {textPosition: 'none', gridlines: {color: 'transparent'},
+      baselineColor: 'transparent'},
+    vAxis: {textPosition: 'none', gridlines: {color: 'transparent'},
+      baselineColor: '#ccc'}
+  }
+};
+
+
+/**
+ * Small Multiples Wrapper. Creates a GaQuery object that draws a compact
+ * chart of the first metric by date for each of the top values of a
+ * dimension.
+ * An optional configuration object is passed as a paramter and can override
+ * or supplement properties of the configuration object.
+ * Following default values are used for this object:
+ *     for the start time / date range: 'lastNdays': 28.
+ * @param {...Object} var_args The following arguments can be passed in order:
+ *     elementId, metrics, dimensions, ids, config. The config object can be
+ *     passed as any of the parameters where any parameters that follow are
+ *     ignored.
+ * @return {gadash.GaQuery} a reference to the newly instantiated
+ *     instance. Useful for chaining methods together.
+ */
+gadash.getCoreSmallMultiples = function(var_args) {
+  // Supported arguments order: div, metrics, dimensions, ids, config
+  var baseConfig = {
+    'elementId': '',
+    'query': {
+      'ids': '',
+      'metrics': '',
+      'dimensions': ''
+    }
+  };
+
+  var argSetters = [
+    function(obj, arg) {obj.elementId = arg},
+    function(obj, arg) {obj.query.metrics = arg},
+    function(obj, arg) {obj.query.dimensions = arg},
+    function(obj, arg) {obj.query.ids = arg}
+  ];
+
+  var argsObj = gadash.gviz.getConfigFromArgs(baseConfig, argSetters,
+      arguments);
+
+  return new gadash.GaQuery(gadash.gviz.coreChartConfig)
+  .setConfig(argsObj.baseConfig)
+  .setConfig(gadash.smallMultiples.chartConfig)
+  .setConfig(argsObj.userConfig);
+};
@@ -0,0 +1,233 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Sends all requests to Google APIs through a single transport, so that
+ * dashboards can be developed and tested against canned responses or a
+ * local server instead of the real APIs.
+ *
+ * A request is an object that names either a method of the Google APIs
+ * client library and its parameters:
+ *   {'method': 'analytics.data.ga.get', 'params': {'ids': 'ga:1174', ...}}
+ * or a REST path, HTTP method and body:
+ *   {'path': '/oauth2/v2/userinfo', 'httpMethod': 'GET'}
+ *
+ * A transport is a function that is passed a request and a callback, and
+ * executes the callback with the JSON response. The transport is set
+ * through gadash.init:
+ *
+ * gadash.init({
+ *   'transport': gadash.transport.fixture([{
+ *     'method': 'analytics.data.ga.get',
+ *     'params': {'metrics': 'ga:visits', 'dimensions': 'ga:date'},
+ *     'response': {'columnHeaders': [...], 'rows': [...]}
+ *   }])
+ * });
+ *
+ * gadash.init({
+ *   'transport': gadash.transport.http('http://localhost:8080/api')
+ * });
+ *
+ * With any transport other than gadash.transport.gapi, the Google APIs
+ * client library is not loaded and the user is not asked to authorize.
+ */
+
+
+/**
+ * Namespace for the transport module.
+ */
+gadash.transport = gadash.transport || {};
+
+
+/**
+ * Sends requests through the Google APIs client library. This is the
+ * default transport.
+ * @param {Object} request The request to send.
+ * @param {Function} callback The function to execute with the response.
+ */
+gadash.transport.gapi = function(request, callback) {
+  if (request.path) {
+    gapi.client.request({
+      'path': request.path,
+      'method': request.httpMethod || 'GET',
+      'params': request.params,
+      'body': request.body
+    }).execute(callback);
+    return;
+  }
+
+  var method = gapi.client;
+  var names = request.method.split('.');
+  for (var i = 0; i < names.length; ++i) {
+    method = method[names[i]];
+  }
+  method(request.params || {}).execute(callback);
+};
+
+
+/**
+ * The transport all requests are sent through.
+ * @type {Function}
+ */
+gadash.transport.active = gadash.transport.gapi;
+
+
+/**
+ * Sets the transport all requests are sent through.
+ * @param {Function} transport The transport.
+ */
+gadash.transport.setTransport = function(transport) {
+  gadash.transport.active = transport;
+};
+
+
+/**
+ * Sends a request through the active transport.
+ * @param {Object} request The request to send.
+ * @param {Function} callback The function to execute with the response.
+ */
+gadash.transport.send = function(request, callback) {
+  gadash.transport.active(request, callback);
+};
+
+
+/**
+ * Returns a transport that responds with canned responses. Each fixture has
+ * either a method or a path, an optional params object and a response.
+ * A request matches a fixture if it has the same method or path, and the
+ * same values for all the keys in the fixture's params. Keys the fixture
+ * does not define match any value, so a fixture can leave out the dates of
+ * a query. The params of a fixture are matched against the body of REST
+ * requests. The response is either the JSON response, or a function that
+ * is passed the request and returns the JSON response. The first fixture
+ * that matches is used. If none match, the response is an error with a
+ * code of 404.
+ * @param {Array.<Object>} fixtures The fixtures.
+ * @return {Function} The transport.
+ */
+gadash.transport.fixture = function(fixtures) {
+  return function(request, callback) {
+    var response;
+    for (var i = 0, fixture; fixture = fixtures[i]; ++i) {
+      if (gadash.transport.isMatch_(fixture, request)) {
+        response = fixture.response;
+        if (gadash.util.getType(response) == 'function') {
+          response = response(request);
+        }
+        break;
+      }
+    }
+
+    if (!response) {
+      var message = 'No fixture for request: ' + JSON.stringify(request);
+      response = {
+        'error': {
+          'code': 404,
+          'message': message,
+          'errors': [{'reason': 'notFound', 'message': message}]
+        }
+      };
+    }
+
+    // Respond asynchronously with a copy, like the APIs do.
+    var copy = JSON.parse(JSON.stringify(response));
+    setTimeout(function() {
+      callback(copy);
+    }, 0);
+  };
+};
+
+
+/**
+ * Returns whether a request matches a fixture.
+ * @param {Object} fixture The fixture.
+ * @param {Object} request The request.
+ * @return {Boolean} True if the request matches.
+ * @private
+ */
+gadash.transport.isMatch_ = function(fixture, request) {
+  if (fixture.method != request.method || fixture.path != request.path) {
+    return false;
+  }
+
+  var params = request.params || request.body || {};
+  for (var key in fixture.params) {
+    if (String(fixture.params[key]) != String(params[key])) {
+      return false;
+    }
+  }
+  return true;
+};
+
+
+/**
+ * Returns a transport that posts each request as JSON to a URL, e.g. a
+ * local server standing in for the APIs, or a proxy that sends the requests
+ * to the APIs with its own credentials. The server must respond with the
+ * JSON response the API would return. If the request fails, or the server
+ * does not respond with JSON or an API error object, the response is an
+ * error with the HTTP status code of the response.
+ * @param {String} url The URL to post requests to.
+ * @param {Object=} opt_options Optional settings:
+ *     - headers {Object} Additional HTTP headers to send, e.g. a token the
+ *       server uses to identify the dashboard.
+ *     - withCredentials {Boolean} Whether to send cookies to a server on
+ *       another domain.
+ * @return {Function} The transport.
+ */
+gadash.transport.http = function(url, opt_options) {
+  var options = opt_options || {};
+
+  return function(request, callback) {
+    var xhr = new XMLHttpRequest();
+    xhr.open('POST', url, true);
+    xhr.setRequestHeader('Content-Type', 'application/json');
+    for (var name in options.headers) {
+      xhr.setRequestHeader(name, options.headers[name]);
+    }
+    xhr.withCredentials = !!options.withCredentials;
+
+    xhr.onreadystatechange = function() {
+      if (xhr.readyState != 4) {
+        return;
+      }
+
+      var response;
+      try {
+        response = JSON.parse(xhr.responseText);
+      } catch (e) {
+        // Handled below as an invalid response.
+      }
+
+      var isError = !(xhr.status >= 200 && xhr.status < 300);
+      if (!response || (isError && !response.error)) {
+        response = {
+          'error': {
+            'code': xhr.status,
+            'message': 'Invalid response from ' + url + ': ' +
+                (xhr.statusText || 'no response') + '.'
+          }
+        };
+      }
+      callback(response);
+    };
+
+    xhr.send(JSON.stringify(request));
+  };
+};
@@ -135,15 +135,28 @@ gadash.ui.ProfileSelect.prototype.getTableId = function() {
 };
 
 
+/**
+ * Returns the timezone of the selected profile, e.g. 'Asia/Tokyo'.
+ * @return {String|undefined} The timezone, or undefined if no profile has
+ *     been loaded.
+ */
+gadash.ui.ProfileSelect.prototype.getTimezone = function() {
+  return this.selected.timezone;
+};
+
+
 /**
  * Returns the selected table ID as a CoreQuery config object.
  * This is useful for adding directly in the each CoreQuery set method.
+ * The timezone of the selected profile is also set, so relative date
+ * ranges are resolved in the timezone of the profile.
  * @return {Object} The profileId set in a Core Query config object.
  */
 gadash.ui.ProfileSelect.prototype.getTableIdConfig = function() {
   return {
     query: {
-      ids: this.getTableId()
+      ids: this.getTableId(),
+      timezone: this.getTimezone()
     }
   };
 };
@@ -186,8 +199,9 @@ gadash.ui.ProfileSelect.prototype.initView = function() {
  * This is the inital traversal of the account hiearchy.
  */
 gadash.ui.ProfileSelect.prototype.loadAccounts = function() {
-  gapi.client.analytics.management.accounts.list().execute(
-      gadash.util.bindMethod(this, this.handleAccounts));
+  gadash.transport.send({
+    'method': 'analytics.management.accounts.list'
+  }, gadash.util.bindMethod(this, this.handleAccounts));
 };
 
 
@@ -265,6 +279,7 @@ gadash.ui.ProfileSelect.prototype.getChangeHandler = function(selectId) {
 
       case 'profile-select':
         this.selected.profileId = evt.target.value;
+        this.updateTimezone_(this.loadFromCache(this.selected.propertyId));
         gadash.util.save(this.elementId, this.selected);
         break;
     }
@@ -281,9 +296,10 @@ gadash.ui.ProfileSelect.prototype.loadProperties = function() {
     this.handleProperties(results);
 
   } else {
-    gapi.client.analytics.management.webproperties.list({
-      'accountId': this.selected.accountId}).execute(
-        gadash.util.bindMethod(this, this.handleProperties));
+    gadash.transport.send({
+      'method': 'analytics.management.webproperties.list',
+      'params': {'accountId': this.selected.accountId}
+    }, gadash.util.bindMethod(this, this.handleProperties));
   }
 };
 
@@ -320,10 +336,13 @@ gadash.ui.ProfileSelect.prototype.loadProfiles = function() {
     this.handleProfiles(results);
 
   } else {
-    gapi.client.analytics.management.profiles.list({
-      'accountId': this.selected.accountId,
-      'webPropertyId': this.selected.propertyId}).execute(
-        gadash.util.bindMethod(this, this.handleProfiles));
+    gadash.transport.send({
+      'method': 'analytics.management.profiles.list',
+      'params': {
+        'accountId': this.selected.accountId,
+        'webPropertyId': this.selected.propertyId
+      }
+    }, gadash.util.bindMethod(this, this.handleProfiles));
   }
 };
 
@@ -346,12 +365,29 @@ gadash.ui.ProfileSelect.prototype.handleProfiles = function(results) {
         gadash.ui.acct.getOptionsFromResults(results,
             this.selected.profileId);
 
+    this.updateTimezone_(results);
     gadash.util.save(this.elementId, this.selected);
     this.isFromLoad = false;
   }
 };
 
 
+/**
+ * Sets the timezone of the selected profile in the selected object.
+ * @param {Object} results The profiles results object returned from the API.
+ * @private
+ */
+gadash.ui.ProfileSelect.prototype.updateTimezone_ = function(results) {
+  var items = (results && results.items) || [];
+  for (var i = 0, item; item = items[i]; ++i) {
+    if (item.id == this.selected.profileId) {
+      this.selected.timezone = item.timezone;
+      return;
+    }
+  }
+};
+
+
 /**
  * Returns a string of options that can be used inside of a dropdown.
  * @param {Object} results The successful result object returned from the
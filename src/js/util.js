@@ -23,6 +23,10 @@
  */
 
 
+// Namespace.
+var gadash = gadash || {};
+
+
 /**
  * Namespace for util object. Contains lots of library utilities.
  */
@@ -243,16 +247,77 @@ gadash.util.stringToDate = function(date) {
 };
 
 
+/**
+ * Returns a Date from a String in the format yyyy-MM-dd.
+ * @param {String} date The String representation of the date.
+ * @return {Date} The corresponding JS Date object.
+ */
+gadash.util.parseDate = function(date) {
+  var parts = date.split('-');
+  return new Date(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]));
+};
+
+
+/**
+ * Returns a Date as a String in the format yyyy-MM-dd.
+ * @param {Date} date The date to format.
+ * @return {String} The formatted date.
+ */
+gadash.util.formatDate = function(date) {
+  var month = date.getMonth() + 1;
+  if (month < 10) {
+    month = '0' + month;
+  }
+
+  var day = date.getDate();
+  if (day < 10) {
+    day = '0' + day;
+  }
+
+  return [date.getFullYear(), month, day].join('-');
+};
+
+
+/**
+ * Returns the number of whole days from one date to another.
+ * @param {Date} from The first date.
+ * @param {Date} to The second date.
+ * @return {Number} The number of days. Negative if to is before from.
+ */
+gadash.util.daysBetween = function(from, to) {
+  // Rounding accounts for days that are not 24 hours long because of
+  // daylight saving time changes.
+  return Math.round((to.getTime() - from.getTime()) / 86400000);
+};
+
+
+/**
+ * Returns a new Date a number of years before or after a date. If the
+ * day does not exist in the new year, e.g. Feb 29, the last day of the
+ * month is used.
+ * @param {Date} date The date to start from.
+ * @param {Number} years The number of years to add. Negative to subtract.
+ * @return {Date} The new date.
+ */
+gadash.util.addYears = function(date, years) {
+  var result = new Date(date.getFullYear() + years, date.getMonth(), 1);
+  var daysInMonth = new Date(result.getFullYear(), result.getMonth() + 1,
+      0).getDate();
+  result.setDate(Math.min(date.getDate(), daysInMonth));
+  return result;
+};
+
+
 /**
  * Formats the Google Metrics and Dimensions into readable strings
- * Strips away the 'ga' and capitalizes first letter. Also puts a space
- * between any lowercase and capital letters.
+ * Strips away the prefix, e.g. 'ga:' or 'mcf:', and capitalizes first
+ * letter. Also puts a space between any lowercase and capital letters.
  * ie: "ga:percentNewVisits" ---> "Percent New Visits"
  * @param {String} gaString - the String name of Metric/Dimension from GA.
  * @return {String} newString - Metric/Dimension formatted nicely.
  */
 gadash.util.formatGAString = function(gaString) {
-  var newString = gaString.substring(3);
+  var newString = gaString.substring(gaString.indexOf(':') + 1);
   newString = newString.charAt(0).toUpperCase() + newString.slice(1);
 
   // Check for a capital letter in the string. If found,
@@ -270,6 +335,50 @@ gadash.util.formatGAString = function(gaString) {
 };
 
 
+/**
+ * Formats the value of a metric for display, based on its data type:
+ *   - INTEGER with thousands separators, e.g. 12,345.
+ *   - CURRENCY with two decimal places, e.g. 1,234.50.
+ *   - PERCENT with two decimal places and a % sign, e.g. 45.67%.
+ *   - TIME as hours, minutes and seconds, e.g. 00:02:35.
+ *   - Other values with two decimal places.
+ * @param {Number} value The value to format.
+ * @param {String} dataType The data type of the metric.
+ * @return {String} The formatted value.
+ */
+gadash.util.formatValue = function(value, dataType) {
+  if (dataType == 'INTEGER') {
+    return gadash.util.addSeparators_(String(Math.round(value)));
+  } else if (dataType == 'CURRENCY') {
+    return gadash.util.addSeparators_(value.toFixed(2));
+  } else if (dataType == 'PERCENT') {
+    return value.toFixed(2) + '%';
+  } else if (dataType == 'TIME') {
+    var seconds = Math.round(value);
+    var parts = [Math.floor(seconds / 3600),
+        Math.floor(seconds % 3600 / 60), seconds % 60];
+    for (var i = 0; i < parts.length; ++i) {
+      parts[i] = parts[i] < 10 ? '0' + parts[i] : String(parts[i]);
+    }
+    return parts.join(':');
+  }
+  return value.toFixed(2);
+};
+
+
+/**
+ * Adds thousands separators to the integer part of a number.
+ * @param {String} number The number to format.
+ * @return {String} The number with separators.
+ * @private
+ */
+gadash.util.addSeparators_ = function(number) {
+  var parts = number.split('.');
+  parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return parts.join('.');
+};
+
+
 /**
  * Recursively copies the values in the from object into the to object.
  * If a key in from object already exists, and has child values,
@@ -360,63 +469,6 @@ gadash.util.htmlEscape = function(str) {
 };
 
 
-/**
- * Asynchronously loads a single JavaScript resource. If defined,
- * opt_callback is executed once the resource is done loading.
- * @param {String} url The JavaScript resource to load.
- * @param {String=} opt_callback Optional JavaScript function to execute once
- *     the JavaScript resource has loaded.
- */
-gadash.util.loadJs_Resource = function(url, opt_callback) {
-  var js = document.createElement('script');
-  js.async = true;
-  js.src = url;
-  if (opt_callback) {
-    js.onload = opt_callback;
-  }
-  var s = document.getElementsByTagName('script')[0];
-  s.parentNode.insertBefore(js, s);
-};
-
-
-/**
- * Variable to store a global callback. Used when loading Javascript
- * resources that support defining their own callback in the URL.
- * Should be used in conjunction with gadash.util.loadJs_ function..
- */
-window.__globalCallback = {};
-
-
-/**
- * Loads multiple JavaScript resources and executes finalCallback
- * once all are done loading. Some resources require a callback
- * function to be defined in the URL. These resources can be loaded
- * by setting opt_useGlobal to true, then using the global variable
- * __globalCallback as the name of the callback function in the URI.
- * @param {Array.<String>} urls An array of URLs of JavaScript resources
- *     to load.
- * @param {Function} finalCallback The function to execute once all the
- *     JavaScript resources have loaded.
- * @param {Boolean=} opt_useGlobal If all the callbacks should use a
- *     single global function. This is useful if the JavaScript resources
- *     require defining the callback in the URL itself.
- * @private.
- */
-gadash.util.loadJs_ = function(urls, finalCallback, opt_useGlobal) {
-  var callback = gadash.getIncrementalCallback(urls.length, finalCallback);
-  if (opt_useGlobal) {
-    window.__globalCallback = callback;
-  }
-  for (var i = 0, url; url = urls[i]; ++i) {
-    if (opt_useGlobal) {
-      gadash.util.loadJs_Resource(url);
-    } else {
-      gadash.util.loadJs_Resource(url, callback);
-    }
-  }
-};
-
-
 /**
  * Returns a function that can be executed numberOfCallbacks times before
  * finalCallback is executed.
@@ -439,112 +491,6 @@ gadash.getIncrementalCallback = function(numberOfCallbacks, finalCallback) {
 };
 
 
-/**
- * Returns an element either by ID or reference.
- * @param {object|String} elementId Either the reference to the element or
- *     if it's a string, it's ID.
- * @return {object} The referenced element.
- */
-gadash.util.getElement = function(elementId) {
-  if (gadash.util.getType(elementId) == 'string') {
-    return document.getElementById(elementId);
-  }
-  return elementId;
-};
-
-
-/**
- * Returns an data uri of an ajax preloader image.
- * @return {String}  data URI to be used in an image tag.
- */
-gadash.util.getLoaderUri = function() {
-  return [
-    'data:image/gif;base64,R0lGODlhIAAgAPYAAP///3d3d/v7++/v7+bm5ufn5/X19f',
-    'z8/Pn5+djY2LCwsJubm6CgoL+/v+jo6Pj4+ODg4J+fn3l5eYaGhu7u7vPz88rKys/Pz/',
-    'f398DAwISEhJOTk9nZ2ezs7Orq6re3t5aWloyMjI6OjtDQ0LW1tX5+fomJidHR0aSkpP',
-    'T09L6+voiIiH19fdLS0oWFheHh4YKCgnx8fIuLi729vd7e3peXl4CAgLS0tMTExMPDw4',
-    'ODg8HBwdfX15CQkNra2sXFxZqamunp6c7Ozt3d3eLi4uPj46ampoqKisLCwrm5ubOzs7',
-    'u7u3t7e9vb29PT07i4uMbGxq6urq+vr9bW1uvr66qqqtXV1dTU1La2tuTk5Ly8vKWlpZ',
-    'GRkd/f3/Dw8Pr6+vb29vHx8Y2Njaurq6ioqPLy8rKysgAAAAAAAAAAAAAAAAAAAAAAAA',
-    'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
-    'AAAAAAACH/C05FVFNDQVBFMi4wAwEAAAAh/hpDcmVhdGVkIHdpdGggYWpheGxvYWQuaW',
-    '5mbwAh+QQJCgAAACwAAAAAIAAgAAAH/4AAgoOEhYaHiImKi4yNjQeGCCkCjoYpBDQFKY',
-    'MCHDMElYQeKgw1DA1BkAg5QAmhghUfKxK0Jh8VBwcOPBWFFR0PiQIJILTGGwmQALmEKU',
-    'tGTgiIDxYhxrUW0ocEGyUKBogIFyLXEiEnlIcVz9GIBwQMLNcMRMrqHsGJBiMLGjYuC4',
-    'RgeFXoAAYPLVSQ2OEDHMFBCCBkIJGBwwAD6Rwx45QggoYSAF+8cmDBAoVBAxSUu5GvUY',
-    'UnE0zscEhgQbkFvRxRMEJLQc4CDMoxyNkIA5QaC0YMBGCgwQRjLnBkbGSACBGHyxwo2G',
-    'BiA4mTDwtS4HAigQOMYQ89eGEhBy97iZg2uoOAQsYEED82xSVigcZSdSRgGAMyJC6HGi',
-    '42ZEPUAUUMYyFGKEOAQRtTEiVoRaGCqIKCzLRA+AAgoAiSJCdyYlABg0kJKUQLdtSgo8',
-    'eMAbqMwCjRwwK4d0ZqGJkytdCDBDM+WOhwQJwMY0Y8CDrgoUkBy4gEVKiQD4GQI7RKRC',
-    'cENxQB3bwt/E1LmsYMJSbZFxJggLujQAAh+QQJCgAAACwAAAAAIAAgAAAH/4AAgoOEgw',
-    'cVVFQpB4WNjo4PEEkoKEsvD4+ZjQI0RhoSEhpGEAKapgAVSxOgoBNJFaeFBg4EFQJBRk',
-    'ysoEZBsYIHDg0oDFhNREa7EiW9vwADJKsSOihOSdKgLq+CFRWMjwI8G7sTGTwoMKA2W0',
-    'OlqUkDmQhCIcokFUVaDAwzBAjcUaI4yCTAyjhWK3JgQpAiBYJvAG4FKZWJgpJPEmAwgO',
-    'BM3osnDCIoSIChYyMMBYYQCUKg1j+ThDA4MbIAhQVbMAsdGBKhBKgNJyDGQgDBAgGKD3',
-    '5gK0ECk7MORkIogAXgAY6lTTt6iCKDRDwAB5r0lMBiQwuhpxB0MUoRgAEnVZxq3syJFg',
-    'DKIQQM5NQk4IAADA/q7nXLAQkUf6ceOOR7ZcGKI1GyCB6UwgKJESUfVVCQTsIRKE4dHb',
-    'DSo0SNJhWjsJqAJHPEtmBHmJDAZUomDDhEMIGxIEGpAwWECCnQtoOSCEu+asYRRcoVvQ',
-    'A8SDGxIgoVQhVqmTqAgQJOsDx6gOrBY7LJISBAgRhivmOFHCFzUB2MvUiR+fQHBwIAIf',
-    'kECQoAAAAsAAAAACAAIAAAB/+AAIKDhIUAB4aJiokHFUVdQQ+Lk4YHDksLNUYjFZSeAB',
-    'RPKxISJUAtkgcPGAieDwMFAwgCPkBMpBI6HwMYRBY4Jw4CixhOClsKPBUtXLilUQQnWy',
-    'ImGwovX4m0CyUlOgwJTRHOLk8XESW4LgpUiQYNOrgmOUEqR6QsEU4ZJs4SCxwQFUqRBA',
-    'YuDRkMVLBghMGHLhWWxHO2ocWwQghOcIkhgQkIJ4gOKMQA4AGUe7hYAPFxsVAFFQt6RM',
-    'gxQFEXFDbkfeigCEGFJi2GVBBoCMMVIz1CbLhBpJUhBBhCEu1ZwIkQHhSmCsJAQIiQAi',
-    '09IZilrcmWEDKMQPhUSFW2QQa1VGggpUGLU7YAPEBxYmBQBRLpSim4y5YGil2DEFjg0m',
-    '2DhbCfKnBoSqgCDiNGLNTEO+lACg8OOnEeTdoTBgNaSw86QADJEh+SKKUg4CU1oQ5RNM',
-    'AACLnQgxw1lFCYBGEDKRNQYitKoQBGhCKTgmyBUeLj3QcUhg4ScEUKFNGKHjiJknkzAA',
-    'wjoiQhQNQnSUoIKATpO8jBuCM53qsmVIBBiSM46LefIAZcoB57AxaCQXaEJUhaIAAh+Q',
-    'QJCgAAACwAAAAAIAAgAAAH/4AAgoOEhQcCB4WKi4yCBgRTTRSJjZWFDxdbG0BLBJSWlQ',
-    'dEDCUSEmIZFaCKCGAIgggtYqYSJVEOAhVFEEEPlgMtGRdBAghOIrS2BQQqDAtRLSmNFS',
-    'obGj1JHQceYzC1GxYvWEemJRFTr4tFC7Q1CQAITQoLDBYePDW0EhpJqosvNZiY2mBF0I',
-    'EKHSg8ENCihz5bHhhVUGCihIkoBBg1WVDKlIkZ/hQdeKHCyJImvhYN0NIjhgQYKDikW3',
-    'TQQYWZigQ4yGGEgQIhQVLgXLUIQ5AuV3AsyXBlwCcwHQYMtXQAgoIeLkwAQeJvAI4tRl',
-    'oYIAqgAgkX+jZcACBgCoiXDLUyEiWQTx8MBfAshBjogywBhw/JADhAA8WEIwqCkA0SgY',
-    'U+HUkEpeDRAAeRqY0e5GhpCgaDIYMQpDDwiaiHHQt6bIhyZSxZRge7OJlCAMNrUAdKK6',
-    'pQIIxuRohAdViyQIEnS0GQJMA86MAVLqcspGyUYIEK17B9RNAB5MpMASlsEwJGRIClFC',
-    '1ICAkp4EUDCyEFBQeFoMKDTwZUHInQ5fftQQ9YUANG/1VCAQcviFcgcP4tWGAgACH5BA',
-    'kKAAAALAAAAAAgACAAAAf/gACCg4SFhoeIiQAYQURBD4qRhQ88UREKPBiSkgcFRjASMF',
-    'FFB4OlmwgPpwc+GxKvQDwCAAgdRUGaiQcOFxZEkAcvESUSJQxdAgYJCgxRIxWJHVg9Ml',
-    'EQpRU/QGILFhUIQ1s6oQtWkIdDNa89FucVHBZN0Bg/Mq8SKzPQhgdEwxIbTpwTdAqAgR',
-    'xH7rl4MgBRCgsoIjToULAQAh4LSjApAUJILn4ViNAYUNFQBQsMNkTYQVHRgZKHBFR4YY',
-    'UHgQEYYG4CmWDHEgsEEBR6uXMQghYoTGgQoYDAqQdELFjZt7ODEWKvTGRIAWCXAjEgLg',
-    'yUBKHHvWJGOnSFsECCCxVcyHcScXWvRBQqgjwkqcFgitCdA6KMeyUGSS4BHXy8MFCUVo',
-    'IqXEKASFKg4AEBOhEdMBAEQgsoP1oEmdWYEAICOaKgUGDBQc7ShYJgEfEKxgIhcQ8d6P',
-    'DCS2YEFjYwuSeKAGlDHT4sQEK1kAEtg++BsHK8EIEtExSoPZRiSfRXNaZUJ1Thwo1MhA',
-    'S8Bs7lrA4jpBI9+Jb+BVBBQZ70sFFCQwTcpT0AkROlCFAADlEYocAJze0kgH0OmFKBAw',
-    'VQ8FFpAqgC24YcdhgIACH5BAkKAAAALAAAAAAgACAAAAf/gACCg4SFhoeIiYIHD1+Kj4',
-    'cYL0JTFAKQmAddRj1AOQOYkA9QJhIlW0QHgweqkAeXgw8WMqZGBKoHFC9EFa2IBl1XQb',
-    'ACRWYgDBYVAAcESgsRM0G+hQIJWyBJHoMIDlMQvQApSLQSG0IYiBgNExILPtSFFAolEh',
-    'IrWsuHCC0RPQq3ElVoUIoFF2UCr1jo8kARAghSNtTAQgDWoQMIMFhM9IDAFR4OGobKxO',
-    'rBg40jESEIcuXECwOEDmCogCAlAAEQonDpkQwmswpCZjQRGWrAk3amUEAQhGAIChkfQI',
-    '0kgKKevR4nBhFQEAGKvlBBolhlAoIHtwJdpI5MIQSIDhgiyT50KBTP1QMPFqJE2VGkps',
-    '1BAgb4GNGiCwECFVCmPBAkw4IeIG4wfFS3UAoLG+xJCJFkrkAeBPwCAFNg14AvBaLA0C',
-    'whwpDKN4cwyFCGGYUfDLiAUJCgSVXWC5rAZoxkCoYDFTBrnmDkwo0VmmFEIaDoQIqGOH',
-    '9rlpGhRZUjOiZEuJAilAAeNVhLgIHFwZAdCpJM+QpJQJMITFjrmEGzQocK6aQUhBIuaB',
-    'YDCC0Q9RcADzRhhAklwACCCp4tGMsLGUShxAUdKFZIIAAh+QQJCgAAACwAAAAAIAAgAA',
-    'AH/4AAgoOEhYaHiImKi4wCFR0pB4yTggUZChYVlIwIFhsaKBCSm4mdIiULNKMAGBQUD4',
-    'wYYbCDBElGUJqCFRZSCk4pigZXWjwYgwgUBRUCggddDDAuRkTNiARGRwpBig8jIRISNT',
-    'wIiQMqEUgDis8MLiZRRauGAg4cQdaJBk4kT8aLBwTMS/SAwgBapBIq7DaAgoGBACBOqi',
-    'AkSpQfHlY9cABB16YHToDAkLABioFBA3ZEaSIxUYUMLsKViEJlUIoTOwi0RGTgBzgJLp',
-    'R4ZFWhHKkDL6L0EIGixTFDAXcaegDhRw4eQwUJoOBjxBUCJxcJEIAgRQWEg+qpWMBlQ5',
-    'QrYdEPpSiSoGPLCkh6lAinwQiNfIQqjDBSg0GODhAP0EARrnGIHBUOgPFSFAACDhFGlt',
-    'hgIVghBFNqxGgsQQMWBzRUGMEUpAKUnxJ0KOkAdQgD0hJWLJlixESJElxUELHQo/GED7',
-    'QNeXhigonMBRYyyCC9oAUHIy5KwAAyIi4hBEOicJkQIgKUISR0kBZhYcAUKSiMWKCQCM',
-    'PwGTmmuJqxgvSGFghgQEAXBETGDgYVpFDOAzwssFduUhAwSEALpWDBFhvUoMAQaC0kiH',
-    '1XcNCBUYoEAgAh+QQJCgAAACwAAAAAIAAgAAAH/4AAgoOEhYaHiImKi4wAB18HjZIADw',
-    'Q+HZGTi0FPKFAVmotEKCEfA4QPBg+Nj5mCFRZPPBiDFS0NLaCKAh0+A64CKRS0ggJDDC',
-    'YMCQiKBhZbLcSICE5cEhsXq4kPTTtEzIkHBQoRJASuiBgV2ooIlgTshQcCCAIH6Lv26Q',
-    '4+Vl0UAkIdejAESwQgKHZ4wLfoAAYMAQEIIBJlhQQJJUTk0NXInYUcPkClsNDjoskIRB',
-    'giCoJFxJEtHBAM+ODC5EUuHFQaOjBkwUUxPwxUaGDCpgQQTSI2JGBERwkQQh48uBKhhE',
-    'kYChaySjEiCooMDu51QFJjAgwZDKZIa1SBSJcO4OB4nVCBRYUFHwUqKGV0z9CDCgVOfN',
-    'gSBQeBvYUEVOigNxGCF1GOlIDBRUuHaUR2KMjwDVEKHEdsApkCjtABB1gkH1FQQGWFJz',
-    'psirBQIUUQAlRWCfDh8+ICHqUJVchQ9CKTDSOCXJCC4kMTDAiGVMW4wEfwQQg4MNDBRM',
-    'LqJiMWwJBgIsqLBx1UbDCxYYnWQ7aiRGBAggMBmia5WDCAoICFJRYQcJ1pFRDAQRMO2K',
-    'ZEbBf1AIUBACBQAQWNLSLAhZHA0kN3JUTAQzwCRVjAEkBwwYAFFIRoCC9XXBCSToQEAg',
-    'A7AAAAAAAAAAAA'].join('');
-};
-
-
 /**
  * Namespace for pubsub module.
  * Usage:
@@ -562,6 +508,13 @@ gadash.util.pubsub = gadash.util.pubsub || {};
 gadash.util.pubsub.libsLoaded = 'LIBS_LOADED';
 
 
+/**
+ * Message for when the number of queued or active API requests changes.
+ * @type {String}
+ */
+gadash.util.pubsub.queueChanged = 'QUEUE_CHANGED';
+
+
 /**
  * Used to store the relationship between messages and subscribed functions.
  * @type {Object}
@@ -586,59 +539,14 @@ gadash.util.pubsub.subscribe = function(message, func) {
 /**
  * Publishes message. All subscribed functions are executed.
  * @param {String} message The message to publish.
+ * @param {Object=} opt_data Optional data to pass to all subscribed
+ *     functions.
  */
-gadash.util.pubsub.publish = function(message) {
+gadash.util.pubsub.publish = function(message, opt_data) {
   if (gadash.util.pubsub.map[message] &&
       gadash.util.pubsub.map[message].length) {
     for (var i = 0, func; func = gadash.util.pubsub.map[message][i]; ++i) {
-      func();
+      func(opt_data);
     }
   }
 };
-
-
-/**
- * TODO: Should be namespaced by user ID.
- * Stores data in localstorage if avaliable.
- * @param {string} key The key of the data to store.
- * @param {Object} data The data to store.
- */
-gadash.util.save = function(key, data) {
-  if (localStorage && JSON) {
-    localStorage.setItem(key, JSON.stringify(data));
-  }
-};
-
-
-/**
- * Loads data from localstorage if avaliable.
- * @param {string} key The key of the data to store.
- * @return {Object} The data stored under the key.
- */
-gadash.util.load = function(key) {
-  if (localStorage && JSON) {
-    return JSON.parse(localStorage.getItem(key));
-  }
-};
-
-
-/**
- * Displays an error message to the user in a div with the ID of
- * "errors". If this div doesn't exist, it is created and appeneded to.
- * The message is html escaped by default.
- * @param {String} message The error message to display.
- */
-gadash.util.displayError = function(message) {
-  var errorDiv = document.getElementById('errors');
-
-  // Create error div if not already made.
-  if (!errorDiv) {
-    errorDiv = document.createElement('div');
-    errorDiv.style.color = 'red';
-    errorDiv.setAttribute('id', 'errors');
-    errorDiv.innerHTML = 'ERRORS:' + '<br>';
-    document.body.appendChild(errorDiv);
-  }
-
-  errorDiv.innerHTML += gadash.util.htmlEscape(message) + '<br>';
-};
@@ -0,0 +1,58 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Tests of the keys gadash.cache stores responses under.
+ */
+
+
+var loader = require('./loader.js');
+var assert = loader.assert;
+var test = loader.test;
+
+var gadash = loader.load(['util.js', 'date-range.js', 'cache.js']);
+
+
+test('keys do not depend on the order of the parameters', function() {
+  assert.strictEqual(
+      gadash.cache.getKey({'ids': 'ga:1', 'metrics': 'ga:visits'}),
+      gadash.cache.getKey({'metrics': 'ga:visits', 'ids': 'ga:1'}));
+});
+
+
+test('keys include the api, which defaults to core', function() {
+  var query = {'ids': 'ga:1', 'metrics': 'ga:visits'};
+  assert.strictEqual(gadash.cache.getKey(query),
+      gadash.cache.getKey(query, 'core'));
+  assert.notStrictEqual(gadash.cache.getKey(query, 'core'),
+      gadash.cache.getKey(query, 'realtime'));
+});
+
+
+test('the same query sent to different apis is cached separately',
+    function() {
+      var query = {'ids': 'ga:1', 'metrics': 'ga:visits'};
+      gadash.cache.set(query, {'rows': [['1']]}, 60, 'core');
+
+      assert.deepEqual(gadash.cache.get(query, 'core'), {'rows': [['1']]});
+      assert.strictEqual(gadash.cache.get(query, 'realtime'), undefined);
+    });
+
+
+loader.run();
@@ -0,0 +1,288 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Tests of the requests gadash.core makes for GaQuery objects, run against
+ * the Node.js build with a fixture transport.
+ */
+
+
+var loader = require('./loader.js');
+var assert = loader.assert;
+var test = loader.test;
+
+var gadash = loader.load(loader.NODE_FILES);
+
+gadash.transport.setTransport(gadash.transport.fixture([{
+  'method': 'analytics.data.ga.get',
+  'response': function(request) {
+    return {
+      'query': request.params,
+      'columnHeaders': [
+        {'name': 'ga:visits', 'columnType': 'METRIC', 'dataType': 'INTEGER'}
+      ],
+      'rows': [['42']],
+      'totalResults': 1,
+      'totalsForAllResults': {'ga:visits': '42'}
+    };
+  }
+}]));
+
+
+/**
+ * Returns a core query for the visits of a profile.
+ * @param {Object=} opt_query Values to add to the query.
+ * @return {gadash.GaQuery} The query.
+ */
+function getQuery(opt_query) {
+  var config = {'query': {'ids': 'ga:1', 'metrics': 'ga:visits'}};
+  gadash.util.extend(opt_query, config.query);
+  return gadash.getCoreQuery(config);
+}
+
+
+/**
+ * Asserts that a query is rejected with an invalid parameter error, after
+ * executing its onError handler.
+ * @param {Object} query Values to add to the query.
+ * @param {RegExp} message The expected error message.
+ * @return {Promise} A Promise that is settled once the query is.
+ */
+function assertInvalid(query, message) {
+  var handled;
+  var gaQuery = getQuery(query).setConfig({
+    'onError': function(error) {
+      handled = error;
+    }
+  });
+
+  var promise;
+  assert.doesNotThrow(function() {
+    promise = gaQuery.run();
+  });
+  return promise.then(function() {
+    assert.fail('The query should be rejected.');
+  }, function(error) {
+    assert.strictEqual(error.code, 400);
+    assert.strictEqual(error.errors[0].reason, 'invalidParameter');
+    assert.ok(message.test(error.message), error.message);
+    assert.strictEqual(handled, error);
+    assert.strictEqual(gaQuery.isExecuting_, false);
+  });
+}
+
+
+test('run is rejected if onSuccess throws', function() {
+  var error = new Error('Handler failed.');
+  return getQuery().setConfig({
+    'onSuccess': function() {
+      throw error;
+    }
+  }).run().then(function() {
+    assert.fail('The run should be rejected.');
+  }, function(e) {
+    assert.strictEqual(e, error);
+  });
+});
+
+
+test('valid filters are sent to the API', function() {
+  return getQuery({
+    'filters': {'dim': 'ga:country', 'op': '==', 'value': 'Canada'}
+  }).run().then(function(response) {
+    assert.strictEqual(response.query.filters, 'ga:country==Canada');
+  });
+});
+
+
+test('unknown filter operators are handled by onError', function() {
+  return assertInvalid({
+    'filters': {'dim': 'ga:country', 'op': '<>', 'value': 'Canada'}
+  }, /Unknown filter operator/);
+});
+
+
+test('filter expressions without a name are handled by onError', function() {
+  return assertInvalid({
+    'filters': [{'op': '==', 'value': 'Canada'}]
+  }, /no dim or metric/);
+});
+
+
+test('queued queries still run after a malformed filter', function() {
+  gadash.isLoaded = false;
+  var bad = getQuery({
+    'filters': {'dim': 'ga:country', 'op': '<>', 'value': 'Canada'}
+  }).run();
+  var good = getQuery().run();
+
+  assert.doesNotThrow(gadash.executeCommandQueue_);
+  gadash.commandQueue_.length = 0;
+  gadash.isLoaded = true;
+
+  return Promise.all([
+    bad.then(function() {
+      assert.fail('The malformed query should be rejected.');
+    }, function(error) {
+      assert.strictEqual(error.code, 400);
+    }),
+    good.then(function(response) {
+      assert.strictEqual(response.rows[0][0], '42');
+    })
+  ]);
+});
+
+
+test('setConfig replaces the filters of the query', function() {
+  var gaQuery = getQuery({
+    'filters': {'dim': 'ga:country', 'op': '==', 'value': 'Canada'}
+  });
+  gaQuery.setConfig({'query': {
+    'filters': {'metric': 'ga:visits', 'op': '>', 'value': '10'}
+  }});
+  return gaQuery.run().then(function(response) {
+    assert.strictEqual(response.query.filters, 'ga:visits>10');
+  });
+});
+
+
+test('valid segments are sent to the API', function() {
+  return getQuery({
+    'segment': {
+      'scope': 'users',
+      'condition': {'dim': 'ga:country', 'op': '==', 'value': 'Canada'}
+    }
+  }).run().then(function(response) {
+    assert.strictEqual(response.query.segment,
+        'users::condition::ga:country==Canada');
+  });
+});
+
+
+test('unknown segment scopes are handled by onError', function() {
+  return assertInvalid({
+    'segment': {
+      'scope': 'visitors',
+      'condition': {'dim': 'ga:country', 'op': '==', 'value': 'Canada'}
+    }
+  }, /Unknown segment scope/);
+});
+
+
+test('segments without a condition or sequence are handled by onError',
+    function() {
+      return assertInvalid({
+        'segment': [{'id': '-3'}, {'scope': 'sessions'}]
+      }, /no condition or sequence/);
+    });
+
+
+test('malformed segment conditions are handled by onError', function() {
+  return assertInvalid({
+    'segment': {
+      'scope': 'sessions',
+      'sequence': [{'dim': 'ga:pagePath', 'op': '===', 'value': '/cart'}]
+    }
+  }, /Unknown filter operator/);
+});
+
+
+test('excluded saved segments are handled by onError', function() {
+  return assertInvalid({
+    'segment': {'id': '-3', 'exclude': true}
+  }, /Saved segments can not be excluded/);
+});
+
+
+test('setConfig replaces the segment of the query', function() {
+  var f = gadash.filter;
+  var gaQuery = getQuery({
+    'segment': {
+      'scope': 'sessions',
+      'condition': f.dim('ga:country', '==', 'Canada')
+    }
+  });
+  gaQuery.setConfig({'query': {
+    'segment': {
+      'scope': 'sessions',
+      'sequence': [f.dim('ga:pagePath', '==', '/cart')]
+    }
+  }});
+  return gaQuery.run().then(function(response) {
+    assert.strictEqual(response.query.segment,
+        'sessions::sequence::ga:pagePath==/cart');
+  });
+});
+
+
+test('queued queries still run after an invalid segment', function() {
+  gadash.isLoaded = false;
+  var bad = getQuery({'segment': {'scope': 'hits'}}).run();
+  var good = getQuery().run();
+
+  assert.doesNotThrow(gadash.executeCommandQueue_);
+  gadash.commandQueue_.length = 0;
+  gadash.isLoaded = true;
+
+  return Promise.all([
+    bad.then(function() {
+      assert.fail('The invalid query should be rejected.');
+    }, function(error) {
+      assert.strictEqual(error.code, 400);
+    }),
+    good.then(function(response) {
+      assert.strictEqual(response.rows[0][0], '42');
+    })
+  ]);
+});
+
+
+test('compare queries do not modify the config', function() {
+  var gaQuery = getQuery({'compare': 'previousPeriod'});
+  return gaQuery.run().then(function(response) {
+    assert.ok(response.rows.length);
+    assert.strictEqual(gaQuery.config.comparisonQuery, undefined);
+  });
+});
+
+
+test('comparison rows are moved into the date range of the query',
+    function() {
+      var headers = [
+        {'name': 'ga:date', 'columnType': 'DIMENSION'},
+        {'name': 'ga:visits', 'columnType': 'METRIC'}
+      ];
+      var merged = gadash.core.mergeComparison({
+        'query': {'start-date': '2024-01-08', 'end-date': '2024-01-10'},
+        'columnHeaders': headers,
+        'rows': [['20240108', '5']]
+      }, {
+        'query': {'start-date': '2024-01-01', 'end-date': '2024-01-05'},
+        'columnHeaders': headers,
+        'rows': [['20240101', '3'], ['20240103', '4'], ['20240105', '9']]
+      }, 'previous period');
+
+      assert.deepEqual(merged.rows, [
+        ['20240108', '5', '3'],
+        ['20240110', '0', '4']
+      ]);
+    });
+
+
+loader.run();
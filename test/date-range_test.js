@@ -0,0 +1,236 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Tests of gadash.dateRange around the boundaries of weeks, months,
+ * quarters and years.
+ */
+
+
+var loader = require('./loader.js');
+var assert = loader.assert;
+var test = loader.test;
+
+var gadash = loader.load(['util.js', 'date-range.js']);
+
+
+/**
+ * Asserts the dates an expression resolves to.
+ * @param {String} expression The date range expression.
+ * @param {Array.<Number>} today The year, month and day to resolve the
+ *     expression relative to. Months start at 1.
+ * @param {String} startDate The expected start date.
+ * @param {String} endDate The expected end date.
+ * @param {Number=} opt_weekStart The first day of the week.
+ */
+function assertRange(expression, today, startDate, endDate, opt_weekStart) {
+  var range = gadash.dateRange.resolve(expression, {
+    'today': new Date(today[0], today[1] - 1, today[2]),
+    'weekStart': opt_weekStart
+  });
+  assert.deepEqual(
+      [range.startDate, range.endDate], [startDate, endDate],
+      expression + ' on ' + today.join('-'));
+}
+
+
+test('Jan 1 looks back into the previous year', function() {
+  var jan1 = [2024, 1, 1];
+  assertRange('today', jan1, '2024-01-01', '2024-01-01');
+  assertRange('yesterday', jan1, '2023-12-31', '2023-12-31');
+  assertRange('1daysAgo', jan1, '2023-12-31', '2023-12-31');
+  assertRange('last7days', jan1, '2023-12-25', '2024-01-01');
+  assertRange('thisMonth', jan1, '2024-01-01', '2024-01-01');
+  assertRange('lastMonth', jan1, '2023-12-01', '2023-12-31');
+  assertRange('last3completeMonths', jan1, '2023-10-01', '2023-12-31');
+  assertRange('thisQuarter', jan1, '2024-01-01', '2024-01-01');
+  assertRange('lastQuarter', jan1, '2023-10-01', '2023-12-31');
+  assertRange('thisYear', jan1, '2024-01-01', '2024-01-01');
+  assertRange('yearToDate', jan1, '2024-01-01', '2024-01-01');
+  assertRange('lastYear', jan1, '2023-01-01', '2023-12-31');
+});
+
+
+test('Dec 31 stays in the current year', function() {
+  var dec31 = [2023, 12, 31];
+  assertRange('thisMonth', dec31, '2023-12-01', '2023-12-31');
+  assertRange('lastMonth', dec31, '2023-11-01', '2023-11-30');
+  assertRange('thisQuarter', dec31, '2023-10-01', '2023-12-31');
+  assertRange('lastQuarter', dec31, '2023-07-01', '2023-09-30');
+  assertRange('thisYear', dec31, '2023-01-01', '2023-12-31');
+  assertRange('lastYear', dec31, '2022-01-01', '2022-12-31');
+  assertRange('last12completeMonths', dec31, '2022-12-01', '2023-11-30');
+});
+
+
+test('quarter starts', function() {
+  assertRange('thisQuarter', [2024, 4, 1], '2024-04-01', '2024-04-01');
+  assertRange('lastQuarter', [2024, 4, 1], '2024-01-01', '2024-03-31');
+  assertRange('lastQuarter', [2024, 7, 1], '2024-04-01', '2024-06-30');
+  assertRange('lastQuarter', [2024, 10, 1], '2024-07-01', '2024-09-30');
+  assertRange('thisQuarter', [2024, 3, 31], '2024-01-01', '2024-03-31');
+  assertRange('thisQuarter', [2024, 6, 30], '2024-04-01', '2024-06-30');
+});
+
+
+test('leap year Feb 29', function() {
+  assertRange('today', [2024, 2, 29], '2024-02-29', '2024-02-29');
+  assertRange('thisMonth', [2024, 2, 29], '2024-02-01', '2024-02-29');
+  assertRange('yesterday', [2024, 3, 1], '2024-02-29', '2024-02-29');
+  assertRange('lastMonth', [2024, 3, 1], '2024-02-01', '2024-02-29');
+  assertRange('lastMonth', [2024, 3, 31], '2024-02-01', '2024-02-29');
+  assertRange('lastMonth', [2023, 3, 31], '2023-02-01', '2023-02-28');
+  assertRange('last1completeMonths', [2100, 3, 15], '2100-02-01',
+      '2100-02-28');
+  assertRange('lastQuarter', [2024, 4, 15], '2024-01-01', '2024-03-31');
+  assertRange('lastYear', [2025, 2, 28], '2024-01-01', '2024-12-31');
+});
+
+
+test('weeks start on Sunday by default', function() {
+  // Sunday Dec 31 2023.
+  assertRange('thisWeek', [2023, 12, 31], '2023-12-31', '2023-12-31');
+  assertRange('lastWeek', [2023, 12, 31], '2023-12-24', '2023-12-30');
+  // Saturday Jan 6 2024.
+  assertRange('thisWeek', [2024, 1, 6], '2023-12-31', '2024-01-06');
+  assertRange('lastWeek', [2024, 1, 6], '2023-12-24', '2023-12-30');
+  assertRange('last2completeWeeks', [2024, 1, 6], '2023-12-17',
+      '2023-12-30');
+});
+
+
+test('weekStart moves the week boundary', function() {
+  // Sunday Dec 31 2023 is the last day of a week starting on Monday.
+  assertRange('thisWeek', [2023, 12, 31], '2023-12-25', '2023-12-31', 1);
+  assertRange('lastWeek', [2023, 12, 31], '2023-12-18', '2023-12-24', 1);
+  // Monday Jan 1 2024 starts a new one.
+  assertRange('thisWeek', [2024, 1, 1], '2024-01-01', '2024-01-01', 1);
+  assertRange('lastWeek', [2024, 1, 1], '2023-12-25', '2023-12-31', 1);
+  assertRange('last1completeWeeks', [2024, 1, 1], '2023-12-25',
+      '2023-12-31', 1);
+  // Saturday Mar 2 2024, with weeks starting on Saturday.
+  assertRange('thisWeek', [2024, 3, 2], '2024-03-02', '2024-03-02', 6);
+  assertRange('lastWeek', [2024, 3, 2], '2024-02-24', '2024-03-01', 6);
+});
+
+
+test('unsupported expressions', function() {
+  assert.strictEqual(gadash.dateRange.resolve('2024-01-01'), null);
+  assert.strictEqual(gadash.dateRange.resolve('lastFortnight'), null);
+});
+
+
+test('getQueryDates uses the range of start and end expressions',
+    function() {
+      var options = {'today': new Date(2024, 2, 1)};
+      assert.deepEqual(gadash.dateRange.getQueryDates({
+        'startDate': 'lastMonth',
+        'endDate': 'lastMonth'
+      }, options), {'startDate': '2024-02-01', 'endDate': '2024-02-29'});
+      assert.deepEqual(gadash.dateRange.getQueryDates({
+        'startDate': 'lastYear',
+        'endDate': 'yesterday'
+      }, options), {'startDate': '2023-01-01', 'endDate': '2024-02-29'});
+      assert.deepEqual(gadash.dateRange.getQueryDates({
+        'startDate': '2023-12-31',
+        'endDate': 'today'
+      }, options), {'startDate': '2023-12-31', 'endDate': '2024-03-01'});
+    });
+
+
+test('getQueryDates key precedence', function() {
+  var options = {'today': new Date(2024, 0, 1)};
+  assert.deepEqual(gadash.dateRange.getQueryDates({
+    'lastNdays': 2,
+    'dateRange': 'lastYear'
+  }, options), {'startDate': '2023-12-30', 'endDate': '2024-01-01'});
+  assert.deepEqual(gadash.dateRange.getQueryDates({
+    'dateRange': 'lastQuarter',
+    'startDate': '2020-01-01',
+    'endDate': '2020-01-31'
+  }, options), {'startDate': '2023-10-01', 'endDate': '2023-12-31'});
+  assert.deepEqual(gadash.dateRange.getQueryDates({
+    'startDate': '2020-01-01'
+  }, options), {'startDate': '2023-12-04', 'endDate': '2024-01-01'});
+  assert.deepEqual(gadash.dateRange.getQueryDates({
+    'dateRange': 'lastFortnight'
+  }, options), {'startDate': 'lastFortnight', 'endDate': 'lastFortnight'});
+});
+
+
+test('getQueryDates uses the weekStart of the query', function() {
+  assert.deepEqual(gadash.dateRange.getQueryDates({
+    'dateRange': 'lastWeek',
+    'weekStart': 1
+  }, {'today': new Date(2023, 11, 31)}),
+  {'startDate': '2023-12-18', 'endDate': '2023-12-24'});
+});
+
+
+test('getToday reads the date parts of the timezone', function() {
+  var formatter = new Intl.DateTimeFormat('en-US', {
+    'timeZone': 'Asia/Tokyo',
+    'year': 'numeric',
+    'month': 'numeric',
+    'day': 'numeric'
+  });
+  var parts = formatter.formatToParts(new Date());
+  var expected = {};
+  for (var i = 0; i < parts.length; ++i) {
+    expected[parts[i].type] = Number(parts[i].value);
+  }
+
+  var today = gadash.dateRange.getToday('Asia/Tokyo');
+  assert.deepEqual(
+      [today.getFullYear(), today.getMonth() + 1, today.getDate()],
+      [expected.year, expected.month, expected.day]);
+  assert.strictEqual(today.getHours(), 0);
+});
+
+
+test('getToday does not depend on the order of the date parts', function() {
+  var DateTimeFormat = function() {};
+  DateTimeFormat.prototype.formatToParts = function() {
+    return [
+      {'type': 'day', 'value': '05'},
+      {'type': 'literal', 'value': '.'},
+      {'type': 'month', 'value': '03'},
+      {'type': 'literal', 'value': '.'},
+      {'type': 'year', 'value': '2024'}
+    ];
+  };
+  var localGadash = loader.load(['util.js', 'date-range.js'],
+      {'Intl': {'DateTimeFormat': DateTimeFormat}});
+
+  assert.strictEqual(
+      localGadash.dateRange.getToday('Europe/Berlin').getTime(),
+      new Date(2024, 2, 5).getTime());
+});
+
+
+test('getToday falls back to the local date for unknown timezones',
+    function() {
+      var now = new Date();
+      var today = gadash.dateRange.getToday('Not/A_Timezone');
+      assert.strictEqual(today.getTime(),
+          new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime());
+    });
+
+
+loader.run();
@@ -0,0 +1,62 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Tests of serializing and parsing filters with gadash.filter.
+ */
+
+
+var loader = require('./loader.js');
+var assert = loader.assert;
+var test = loader.test;
+
+var gadash = loader.load(['util.js', 'metadata.js', 'filter.js']);
+
+
+test('backslashes and separators in values are escaped', function() {
+  var f = gadash.filter;
+  assert.strictEqual(f.serialize(f.or(
+      f.dim('ga:pagePath', '=~', '^/blog\\.html'),
+      f.dim('ga:pagePath', '=@', 'a,b;c'))),
+      'ga:pagePath=~^/blog\\\\.html,ga:pagePath=@a\\,b\\;c');
+});
+
+
+test('parse unescapes backslashes and separators', function() {
+  assert.deepEqual(gadash.filter.parse('ga:pagePath=@a\\\\,ga:source==b\\,c'),
+      {'or': [
+        {'dim': 'ga:pagePath', 'op': '=@', 'value': 'a\\'},
+        {'dim': 'ga:source', 'op': '==', 'value': 'b,c'}
+      ]});
+});
+
+
+test('serialized filters parse back to the same values', function() {
+  var values = ['\\', 'a\\,b', '\\;', '^/blog\\.html$', 'x\\'];
+  for (var i = 0; i < values.length; ++i) {
+    var filter = gadash.filter.and(
+        gadash.filter.dim('ga:pagePath', '==', values[i]),
+        gadash.filter.dim('ga:source', '==', 'google'));
+    assert.deepEqual(gadash.filter.parse(gadash.filter.serialize(filter)),
+        filter, values[i]);
+  }
+});
+
+
+loader.run();
@@ -0,0 +1,93 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Tests of the conversion of queries to GA4 Data API requests.
+ */
+
+
+var loader = require('./loader.js');
+var assert = loader.assert;
+var test = loader.test;
+
+var gadash = loader.load(loader.NODE_FILES);
+
+
+/**
+ * Returns the request body for a query with filters.
+ * @param {String} filters The filters of the query.
+ * @return {Object} The request body.
+ */
+function getBody(filters) {
+  return gadash.ga4.getRequestBody({
+    'metrics': 'ga:activeUsers,ga:sessions',
+    'dimensions': 'ga:country',
+    'filters': filters,
+    'start-date': '2024-01-01',
+    'end-date': '2024-01-31'
+  });
+}
+
+
+test('OR groups go into the filter of their column type', function() {
+  var body = getBody('ga:country==Canada,ga:country==Mexico;' +
+      'ga:sessions>10,ga:activeUsers>5');
+  assert.deepEqual(body.dimensionFilter.orGroup.expressions.map(
+      function(expression) {
+        return expression.filter.stringFilter.value;
+      }), ['Canada', 'Mexico']);
+  assert.deepEqual(body.metricFilter.orGroup.expressions.map(
+      function(expression) {
+        return expression.filter.fieldName;
+      }), ['sessions', 'activeUsers']);
+});
+
+
+test('mixed metric and dimension OR groups are rejected', function() {
+  assert.throws(function() {
+    getBody('ga:country==Canada,ga:sessions>10');
+  }, /can not be combined with OR in the GA4 Data API/);
+  assert.throws(function() {
+    getBody('ga:sessions>10,ga:country==Canada');
+  }, /can not be combined with OR in the GA4 Data API/);
+});
+
+
+test('mixed OR groups are handled by onError', function() {
+  gadash.transport.setTransport(function() {
+    assert.fail('No request should be sent.');
+  });
+  return gadash.getCoreQuery({
+    'api': 'ga4',
+    'query': {
+      'ids': 'properties/1',
+      'metrics': 'ga:sessions',
+      'filters': 'ga:sessions>10,ga:country==Canada'
+    }
+  }).run().then(function() {
+    assert.fail('The query should be rejected.');
+  }, function(error) {
+    assert.strictEqual(error.code, 400);
+    assert.ok(/with OR in the GA4 Data API/.test(error.message),
+        error.message);
+  });
+});
+
+
+loader.run();
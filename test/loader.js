@@ -0,0 +1,128 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Helpers for the Node.js tests in this folder. Tests load the source
+ * files they need into a fresh context, so each test file gets its own
+ * gadash namespace, and register their cases with test:
+ *
+ * var loader = require('./loader.js');
+ * var gadash = loader.load(['util.js', 'date-range.js']);
+ *
+ * loader.test('yesterday on Jan 1', function() {
+ *   loader.assert.equal(...);
+ * });
+ *
+ * loader.run();
+ *
+ * run executes the cases in order, prints the failures, and sets the exit
+ * code to 1 if any failed. Run all the tests with test/run.sh.
+ */
+
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+
+/**
+ * The Node.js assert module.
+ * @type {Object}
+ */
+exports.assert = require('assert');
+
+
+/**
+ * The source files of the Node.js build, in the order of BUILD.sh.
+ * @type {Array.<String>}
+ */
+exports.NODE_FILES = ['util.js', 'transport.js', 'date-range.js', 'cache.js',
+  'scheduler.js', 'metadata.js', 'filter.js', 'segment.js', 'query.js',
+  'core.js', 'realtime.js', 'mcf.js', 'ga4.js', 'node.js'];
+
+
+/**
+ * The registered test cases. Each is a name and a function.
+ * @type {Array.<Array>}
+ * @private
+ */
+var tests_ = [];
+
+
+/**
+ * Loads source files into a new context and returns its gadash namespace.
+ * @param {Array.<String>} files The names of the files in src/js, in the
+ *     order of BUILD.sh.
+ * @param {Object=} opt_globals Optional globals to add to the context,
+ *     e.g. mocks of browser objects.
+ * @return {Object} The gadash namespace.
+ */
+exports.load = function(files, opt_globals) {
+  var context = vm.createContext(opt_globals || {});
+  context.module = {};
+  context.setTimeout = setTimeout;
+  context.clearTimeout = clearTimeout;
+  for (var i = 0; i < files.length; ++i) {
+    var file = path.join(__dirname, '..', 'src', 'js', files[i]);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, file);
+  }
+  return context.gadash;
+};
+
+
+/**
+ * Registers a test case.
+ * @param {String} name The name of the case.
+ * @param {Function} fn The function that runs the case. It throws, or
+ *     returns a Promise that is rejected, if the case fails.
+ */
+exports.test = function(name, fn) {
+  tests_.push([name, fn]);
+};
+
+
+/**
+ * Runs the registered test cases in order and reports the results. A case
+ * that returns a Promise is finished once the Promise settles, and fails if
+ * it is rejected.
+ */
+exports.run = function() {
+  var failures = 0;
+  var fail = function(name, e) {
+    ++failures;
+    console.log('FAIL: ' + name + '\n  ' + (e && e.message || e));
+  };
+
+  var next = Promise.resolve();
+  tests_.forEach(function(test) {
+    next = next.then(function() {
+      return test[1]();
+    }).catch(function(e) {
+      fail(test[0], e);
+    });
+  });
+
+  next.then(function() {
+    console.log(path.basename(process.argv[1]) + ': ' +
+        (tests_.length - failures) + ' of ' + tests_.length + ' passed');
+    if (failures) {
+      process.exitCode = 1;
+    }
+  });
+};
@@ -0,0 +1,55 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Tests of the queries gadash.mcf sends to the Multi-Channel Funnels
+ * Reporting API.
+ */
+
+
+var loader = require('./loader.js');
+var assert = loader.assert;
+var test = loader.test;
+
+var gadash = loader.load(loader.NODE_FILES);
+
+
+test('queries are built like core queries without segments', function() {
+  assert.deepEqual(gadash.mcf.getMcfQueryObj({'query': {
+    'ids': 'ga:1',
+    'metrics': 'mcf:totalConversions',
+    'dimensions': 'mcf:source',
+    'filters': {'dim': 'mcf:source', 'op': '==', 'value': 'a,b'},
+    'segment': 'gaid::-3',
+    'startIndex': 11,
+    'startDate': '2024-01-01',
+    'endDate': '2024-01-31'
+  }}), {
+    'ids': 'ga:1',
+    'metrics': 'mcf:totalConversions',
+    'dimensions': 'mcf:source',
+    'filters': 'mcf:source==a\\,b',
+    'start-index': 11,
+    'start-date': '2024-01-01',
+    'end-date': '2024-01-31'
+  });
+});
+
+
+loader.run();
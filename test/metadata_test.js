@@ -0,0 +1,102 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Tests of the query validation of gadash.metadata.
+ */
+
+
+var loader = require('./loader.js');
+var assert = loader.assert;
+var test = loader.test;
+
+var gadash = loader.load(loader.NODE_FILES);
+
+
+test('valid queries have no errors', function() {
+  assert.deepEqual(gadash.metadata.validateQuery({
+    'metrics': 'ga:visits,ga:pageviews',
+    'dimensions': 'ga:date,ga:pagePath',
+    'sort': '-ga:pageviews',
+    'filters': 'ga:country==Canada'
+  }), []);
+  assert.deepEqual(gadash.metadata.validateQuery({
+    'metrics': 'ga:adClicks,ga:adCost',
+    'dimensions': 'ga:campaign,ga:landingPagePath'
+  }), []);
+  assert.deepEqual(gadash.metadata.validateQuery({
+    'metrics': 'ga:itemRevenue,ga:goal1Completions',
+    'dimensions': 'ga:productSku'
+  }), []);
+});
+
+
+test('unknown columns suggest the closest match', function() {
+  assert.deepEqual(gadash.metadata.validateQuery({
+    'metrics': 'ga:pagevews'
+  }), ['Unknown metric: ga:pagevews. Did you mean ga:pageviews?']);
+});
+
+
+test('incompatible columns are reported', function() {
+  assert.deepEqual(gadash.metadata.validateQuery({
+    'metrics': 'ga:visits,ga:adClicks',
+    'dimensions': 'ga:date,ga:pagePath'
+  }), ['ga:adClicks can not be combined with ga:pagePath.']);
+  assert.deepEqual(gadash.metadata.validateQuery({
+    'metrics': 'ga:pageviews',
+    'dimensions': 'ga:productName'
+  }), ['ga:productName can not be combined with ga:pageviews.']);
+  assert.deepEqual(gadash.metadata.validateQuery({
+    'metrics': 'ga:avgPageLoadTime',
+    'dimensions': 'ga:eventCategory'
+  }), ['ga:avgPageLoadTime can not be combined with ga:eventCategory.']);
+});
+
+
+test('incompatible columns can be added', function() {
+  gadash.metadata.incompatibleColumns.push(
+      [['ga:goalXXCompletions'], ['ga:keyword']]);
+  assert.deepEqual(gadash.metadata.validateQuery({
+    'metrics': 'ga:goal2Completions',
+    'dimensions': 'ga:keyword'
+  }), ['ga:goal2Completions can not be combined with ga:keyword.']);
+  gadash.metadata.incompatibleColumns.pop();
+});
+
+
+test('only Core Reporting API queries are validated', function() {
+  var query = {'metrics': 'rt:activeUsers', 'dimensions': 'rt:country'};
+  assert.strictEqual(gadash.getCoreQuery({
+    'query': query
+  }).validate().length, 2);
+  assert.deepEqual(gadash.getRealtimeQuery({
+    'query': query
+  }).validate(), []);
+  assert.deepEqual(gadash.getMcfQuery({
+    'query': {'metrics': 'mcf:totalConversions'}
+  }).validate(), []);
+  assert.deepEqual(gadash.getCoreQuery({
+    'api': 'ga4',
+    'query': {'metrics': 'ga:activeUsers'}
+  }).validate(), []);
+});
+
+
+loader.run();
@@ -0,0 +1,61 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Tests that the Node.js build only has the parts of the library that work
+ * without a browser.
+ */
+
+
+var loader = require('./loader.js');
+var assert = loader.assert;
+var test = loader.test;
+
+var gadash = loader.load(loader.NODE_FILES);
+
+
+test('the query builders are exported', function() {
+  assert.strictEqual(typeof gadash.getCoreQuery, 'function');
+  assert.strictEqual(typeof gadash.getRealtimeQuery, 'function');
+  assert.strictEqual(typeof gadash.getMcfQuery, 'function');
+});
+
+
+test('the browser only parts are left out', function() {
+  assert.strictEqual(gadash.gviz, undefined);
+  assert.strictEqual(gadash.onErrorDefault, undefined);
+  assert.strictEqual(gadash.getRealtimeChart, undefined);
+  assert.strictEqual(gadash.getMcfChart, undefined);
+  assert.strictEqual(gadash.cache.localStorage, undefined);
+  assert.strictEqual(gadash.util.save, undefined);
+});
+
+
+test('without a transport, queries are rejected', function() {
+  return gadash.getRealtimeQuery({
+    'query': {'ids': 'ga:1', 'metrics': 'rt:activeUsers'}
+  }).run().then(function() {
+    assert.fail('The query should be rejected.');
+  }, function(error) {
+    assert.strictEqual(error.errors[0].reason, 'noTransport');
+  });
+});
+
+
+loader.run();
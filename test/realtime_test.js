@@ -0,0 +1,53 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Tests of the queries gadash.realtime sends to the Real Time Reporting API.
+ */
+
+
+var loader = require('./loader.js');
+var assert = loader.assert;
+var test = loader.test;
+
+var gadash = loader.load(loader.NODE_FILES);
+
+
+test('queries are built like core queries without dates', function() {
+  assert.deepEqual(gadash.realtime.getRealtimeQueryObj({'query': {
+    'ids': 'ga:1',
+    'metrics': 'rt:activeUsers',
+    'dimensions': 'rt:medium rt:source',
+    'filters': {'dim': 'rt:source', 'op': '==', 'value': 'a,b'},
+    'sort': '-rt:activeUsers',
+    'maxResults': 10,
+    'startIndex': 11,
+    'lastNdays': 7
+  }}), {
+    'ids': 'ga:1',
+    'metrics': 'rt:activeUsers',
+    'dimensions': 'rt:medium,rt:source',
+    'filters': 'rt:source==a\\,b',
+    'sort': '-rt:activeUsers',
+    'max-results': 10
+  });
+});
+
+
+loader.run();
@@ -0,0 +1,15 @@
+# Runs the Node.js tests of ga-ez-dash (tested only on linux/osx).
+#
+# Each file in /test ending in _test.js is run with node. The script exits
+# with an error if any test fails.
+#
+# To run this you must install:
+#   Node.js: http://nodejs.org/
+
+cd "$(dirname "$0")/.."
+
+status=0
+for test_file in test/*_test.js; do
+  node "$test_file" || status=1
+done
+exit $status
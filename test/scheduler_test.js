@@ -0,0 +1,117 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Tests of the request queue of gadash.scheduler.
+ */
+
+
+var loader = require('./loader.js');
+var assert = loader.assert;
+var test = loader.test;
+
+var gadash = loader.load(loader.NODE_FILES);
+
+gadash.transport.setTransport(gadash.transport.fixture([{
+  'method': 'analytics.data.ga.get',
+  'response': {'query': {}, 'columnHeaders': [], 'rows': []}
+}]));
+
+
+test('done releases the slot and passes the response on', function() {
+  var responses = [];
+  gadash.scheduler.schedule(function(done) {
+    assert.strictEqual(gadash.scheduler.getStatus().active, 1);
+    done({'rows': []});
+  }, 0, function(response) {
+    responses.push(response);
+  });
+  assert.deepEqual(responses, [{'rows': []}]);
+  assert.strictEqual(gadash.scheduler.getStatus().active, 0);
+});
+
+
+test('requests that throw release the slot with an error', function() {
+  var responses = [];
+  gadash.scheduler.schedule(function(done) {
+    throw new Error('Transport failed.');
+  }, 0, function(response) {
+    responses.push(response);
+  });
+  assert.strictEqual(gadash.scheduler.getStatus().active, 0);
+  assert.strictEqual(responses.length, 1);
+  assert.strictEqual(responses[0].error.code, 400);
+  assert.strictEqual(responses[0].error.message,
+      'The request could not be sent: Transport failed.');
+});
+
+
+test('errors thrown after done are not caught', function() {
+  var responses = [];
+  assert.throws(function() {
+    gadash.scheduler.schedule(function(done) {
+      done({'rows': []});
+      throw new Error('Handler failed.');
+    }, 0, function(response) {
+      responses.push(response);
+    });
+  }, /Handler failed/);
+  assert.strictEqual(responses.length, 1);
+  assert.strictEqual(gadash.scheduler.getStatus().active, 0);
+});
+
+
+test('queries for an unknown api are rejected', function() {
+  return gadash.getCoreQuery({
+    'api': 'ga5',
+    'query': {'ids': 'ga:1', 'metrics': 'ga:visits'}
+  }).run().then(function() {
+    assert.fail('The query should be rejected.');
+  }, function(error) {
+    assert.strictEqual(error.code, 400);
+    assert.ok(/Unknown api: ga5/.test(error.message), error.message);
+    assert.strictEqual(gadash.scheduler.getStatus().active, 0);
+    assert.deepEqual(gadash.core.inFlightRequests_, {});
+  });
+});
+
+
+test('the queue keeps going after a failed request', function() {
+  gadash.scheduler.setConfig({'maxConcurrent': 1});
+  var failed = gadash.getCoreQuery({
+    'api': 'ga5',
+    'query': {'ids': 'ga:1', 'metrics': 'ga:visits'}
+  }).run();
+  var next = gadash.getCoreQuery({
+    'query': {'ids': 'ga:1', 'metrics': 'ga:visits'}
+  }).run();
+
+  return Promise.all([
+    failed.catch(function(error) {
+      return error;
+    }),
+    next
+  ]).then(function(results) {
+    assert.strictEqual(results[0].code, 400);
+    assert.deepEqual(results[1].rows, []);
+  });
+});
+
+
+loader.run();
@@ -0,0 +1,70 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Tests of the queries gadash.scorecard sends to the Core Reporting API.
+ */
+
+
+var loader = require('./loader.js');
+var assert = loader.assert;
+var test = loader.test;
+
+var element = {'innerHTML': ''};
+var gadash = loader.load(
+    loader.NODE_FILES.concat(['browser.js', 'gviz.js', 'scorecard.js']), {
+      'window': {},
+      'document': {
+        'getElementById': function() {
+          return element;
+        }
+      }
+    });
+
+gadash.transport.setTransport(gadash.transport.fixture([{
+  'method': 'analytics.data.ga.get',
+  'response': function(request) {
+    return {'query': request.params, 'rows': []};
+  }
+}]));
+
+
+test('dimensions are set without modifying the config', function() {
+  var config = {
+    'elementId': 'kpis',
+    'query': {
+      'ids': 'ga:1',
+      'metrics': 'ga:visits',
+      'dimensions': 'ga:source'
+    },
+    'sparkline': true,
+    'onSuccess': function() {
+      return false;
+    }
+  };
+  var scorecard = gadash.getCoreScorecard(config);
+  return scorecard.run().then(function(response) {
+    assert.strictEqual(response.query.dimensions, 'ga:date');
+    assert.strictEqual(scorecard.config.query.dimensions, 'ga:source');
+    assert.strictEqual(config.query.dimensions, 'ga:source');
+  });
+});
+
+
+loader.run();
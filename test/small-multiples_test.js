@@ -0,0 +1,86 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Tests of the queries and pivoting of gadash.smallMultiples.
+ */
+
+
+var loader = require('./loader.js');
+var assert = loader.assert;
+var test = loader.test;
+
+var gadash = loader.load(loader.NODE_FILES.concat(['small-multiples.js']));
+
+
+test('getDimensions_ leaves out ga:date', function() {
+  var getDimensions = gadash.smallMultiples.getDimensions_;
+  assert.deepEqual(getDimensions('ga:pagePath'), ['ga:pagePath']);
+  assert.deepEqual(getDimensions('ga:date, ga:source'), ['ga:source']);
+  assert.deepEqual(getDimensions('ga:date'), []);
+  assert.deepEqual(getDimensions(''), []);
+  assert.deepEqual(getDimensions(), []);
+});
+
+
+test('getTrendQuery_ filters on the top values', function() {
+  var trendQuery = gadash.smallMultiples.getTrendQuery_({
+    'ids': 'ga:1',
+    'metrics': 'ga:pageviews',
+    'dimensions': 'ga:pagePath',
+    'filters': 'ga:country==US,ga:country==CA',
+    'sort': '-ga:pageviews',
+    'max-results': 2
+  }, [['/a', '9'], ['/b,c', '8']]);
+
+  assert.strictEqual(trendQuery.dimensions, 'ga:date,ga:pagePath');
+  assert.strictEqual(trendQuery.sort, 'ga:date');
+  assert.strictEqual(trendQuery['max-results'], gadash.core.MAX_PAGE_SIZE);
+  assert.strictEqual(trendQuery.filters, 'ga:country==US,ga:country==CA;' +
+      'ga:pagePath==/a,ga:pagePath==/b\\,c');
+});
+
+
+test('pivot fills missing dates and orders series by total', function() {
+  var pivot = gadash.smallMultiples.pivot({
+    'columnHeaders': [
+      {'name': 'ga:date', 'columnType': 'DIMENSION'},
+      {'name': 'ga:pagePath', 'columnType': 'DIMENSION'},
+      {'name': 'ga:pageviews', 'columnType': 'METRIC', 'dataType': 'INTEGER'}
+    ],
+    'rows': [
+      ['20240102', '/a', '5'],
+      ['20240101', '/a', '3'],
+      ['20240101', '/b', '9'],
+      ['20240102', '/c', '1']
+    ]
+  }, 2);
+
+  assert.deepEqual(pivot.dates, ['20240101', '20240102']);
+  assert.deepEqual(pivot.series.map(function(series) {
+    return [series.value, series.total, series.values];
+  }), [['/b', 9, [9, 0]], ['/a', 8, [3, 5]]]);
+  assert.strictEqual(pivot.label, 'Pageviews');
+  assert.strictEqual(pivot.dataType, 'INTEGER');
+  assert.strictEqual(pivot.min, 0);
+  assert.strictEqual(pivot.max, 9);
+});
+
+
+loader.run();
@@ -0,0 +1,44 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+
+/* Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @author nickski15@gmail.com (Nick Mihailovski)
+ *
+ * @fileoverview
+ * Tests of gadash.util.
+ */
+
+
+var loader = require('./loader.js');
+var assert = loader.assert;
+var test = loader.test;
+
+var gadash = loader.load(['util.js']);
+
+
+test('formatValue by data type', function() {
+  var formatValue = gadash.util.formatValue;
+  assert.strictEqual(formatValue(1234567, 'INTEGER'), '1,234,567');
+  assert.strictEqual(formatValue(999.6, 'INTEGER'), '1,000');
+  assert.strictEqual(formatValue(1234.5, 'CURRENCY'), '1,234.50');
+  assert.strictEqual(formatValue(45.678, 'PERCENT'), '45.68%');
+  assert.strictEqual(formatValue(155, 'TIME'), '00:02:35');
+  assert.strictEqual(formatValue(36000, 'TIME'), '10:00:00');
+  assert.strictEqual(formatValue(1.5, 'FLOAT'), '1.50');
+});
+
+
+loader.run();